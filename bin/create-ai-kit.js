@@ -1,18 +1,42 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
 const { program } = require('commander');
 const chalk = require('chalk');
 const fse = require('fs-extra');
+const picomatch = require('picomatch');
 const readline = require('readline');
+const { spawnSync } = require('child_process');
 
 // Version from package.json (single source of truth)
 const pkg = require('../package.json');
 
 const DEFAULT_CURSOR_DIR = '.cursor';
 const FALLBACK_CURSOR_DIR = 'cursor-copy';
+const PROJECT_CONFIG_FILE = '.ai-kitrc';
+const PACKAGE_CONFIG_KEY = 'ai-kit';
+// Project config keys and the init option each one fills in when the flag is not given.
+// `cursorDir` is read by resolveCursorDirName so AI_KIT_CURSOR_DIR still wins over it.
+const PROJECT_CONFIG_OPTIONS = {
+  minimal: 'minimal',
+  gitignore: 'gitignore',
+  scripts: 'scripts',
+  merge: 'merge',
+  printPrompt: 'printPrompt',
+  stackRules: 'withStackRules',
+  workspaces: 'workspaces',
+  templates: 'template',
+  targets: 'target',
+  only: 'only',
+  exclude: 'exclude',
+  scriptPrefix: 'scriptPrefix',
+  eject: 'eject',
+  gitExclude: 'gitExclude',
+  ignoreFormatting: 'ignoreFormatting',
+};
 
 function normalizeCursorDirName(value) {
   const trimmed = value.trim().replace(/\\/g, '/').replace(/\/+$/, '');
@@ -27,6 +51,15 @@ function resolveCursorDirName(projectRoot, options = {}, { dryRun } = {}) {
   if (envValue && envValue.trim().length > 0) {
     return normalizeCursorDirName(envValue);
   }
+  let configValue = null;
+  try {
+    configValue = readProjectConfig(projectRoot).values.cursorDir;
+  } catch {
+    // An invalid .ai-kitrc is reported by the command that reads it
+  }
+  if (typeof configValue === 'string' && configValue.trim().length > 0) {
+    return normalizeCursorDirName(configValue);
+  }
   const cursorConfigPath = path.join(projectRoot, DEFAULT_CURSOR_DIR, 'ai-kit.config.json');
   if (fs.existsSync(cursorConfigPath)) {
     return DEFAULT_CURSOR_DIR;
@@ -45,6 +78,56 @@ function resolveCursorDirName(projectRoot, options = {}, { dryRun } = {}) {
   return FALLBACK_CURSOR_DIR;
 }
 
+// Team settings for init: .ai-kitrc (JSON), else the "ai-kit" key in package.json
+function readProjectConfig(projectRoot) {
+  const rcPath = path.join(projectRoot, PROJECT_CONFIG_FILE);
+  if (fs.existsSync(rcPath)) {
+    let values;
+    try {
+      values = JSON.parse(fs.readFileSync(rcPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: expected a JSON object`);
+    }
+    return { file: PROJECT_CONFIG_FILE, values };
+  }
+
+  const pkgPath = path.join(projectRoot, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const values = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'))[PACKAGE_CONFIG_KEY];
+      if (values && typeof values === 'object' && !Array.isArray(values)) {
+        return { file: `package.json "${PACKAGE_CONFIG_KEY}"`, values };
+      }
+    } catch {
+      // A broken package.json is reported where it is used
+    }
+  }
+  return { file: null, values: {} };
+}
+
+// Fill the init options the command line did not set from the project config
+function applyProjectConfig(options, projectRoot, { file, values }, isFromCli) {
+  const merged = { ...options, configFile: file };
+  for (const [key, optionKey] of Object.entries(PROJECT_CONFIG_OPTIONS)) {
+    if (values[key] === undefined || values[key] === null || isFromCli(optionKey)) {
+      continue;
+    }
+    if (!Array.isArray(options[optionKey])) {
+      merged[optionKey] = values[key];
+      continue;
+    }
+    merged[optionKey] = [].concat(values[key]).map(String);
+    // Template paths in the config are relative to the project, not the working directory
+    if (optionKey === 'template') {
+      merged.template = merged.template.map((spec) => path.resolve(projectRoot, spec));
+    }
+  }
+  return merged;
+}
+
 // Optional clipboard support - gracefully degrade if unavailable
 let clipboardy = null;
 try {
@@ -54,15 +137,166 @@ try {
 }
 
 const MANIFEST_FILE = '.ai-kit-manifest.json';
+const MANIFEST_SCHEMA_VERSION = 2;
+const LOCK_FILE = '.ai-kit.lock';
+const TRANSACTION_DIR_PREFIX = '.ai-kit-tx-';
+const BACKUPS_DIR = '.ai-kit/backups';
+const BACKUP_INDEX_FILE = 'index.json';
 const TEMPLATES_DIR = path.join(__dirname, '../templates');
-const ZERO_CONFIG_ALLOWLIST = ['_cursor/rules/', '_cursor/HYDRATE.md', 'AGENTS.md'];
+const TEMPLATE_OVERLAY_FILE = 'ai-kit-template.json';
+const STACK_RULES_DIR = 'stack-rules';
+const ZERO_CONFIG_ALLOWLIST = [
+  '_cursor/rules/',
+  '_cursor/HYDRATE.md',
+  'AGENTS.md',
+  `${STACK_RULES_DIR}/`,
+];
+const HYDRATION_PROMPT_FILE = 'docs/hydration-prompt.md';
+
+// --target: Cursor files are the source; other assistants get the same rules and commands
+// rendered into their native files. `{name}` is the rule or command file name.
+const DEFAULT_TARGET = 'cursor';
+const ASSISTANT_TARGETS = {
+  cursor: { label: 'Cursor' },
+  claude: {
+    label: 'Claude Code',
+    rulesFile: 'CLAUDE.md',
+    commandFile: '.claude/commands/{name}.md',
+  },
+  copilot: {
+    label: 'GitHub Copilot',
+    rulesFile: '.github/copilot-instructions.md',
+    scopedRuleFile: '.github/instructions/{name}.instructions.md',
+    commandFile: '.github/prompts/{name}.prompt.md',
+  },
+  windsurf: {
+    label: 'Windsurf',
+    rulesFile: '.windsurfrules',
+    commandFile: '.windsurf/workflows/{name}.md',
+  },
+  cline: {
+    label: 'Cline',
+    ruleFile: '.clinerules/{name}.md',
+    commandFile: '.clinerules/workflows/{name}.md',
+  },
+};
+
+// How each package manager runs a package.json script
+const RUN_SCRIPT_COMMANDS = {
+  npm: 'npm run',
+  pnpm: 'pnpm',
+  yarn: 'yarn',
+  bun: 'bun run',
+};
+// Template files each workspace package gets with --workspaces (rendered for that package)
+const WORKSPACE_TEMPLATE_FILES = [
+  'AGENTS.md',
+  '_cursor/rules/app-context.mdc',
+  '_cursor/ai-kit.config.json',
+];
+const WORKSPACE_SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+const WORKSPACE_MAX_DEPTH = 4;
+const LOCKFILE_PACKAGE_MANAGERS = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'],
+];
+
+// package.json scripts added on full installs (removed again by `uninstall`)
+const AI_KIT_SCRIPTS = {
+  'ai-kit:verify': 'node scripts/hydrate-verify.js',
+  'docs:update': 'node scripts/docs-update/generate-context.js',
+  'docs:check': 'node scripts/docs-update/check-markers.js',
+  'docs:check:ci': 'node scripts/docs-update/check-markers.js --ci',
+  'docs:verify-inline': 'node scripts/docs-update/verify-inline.js',
+};
+
+// Optional parts of the kit. Files no component claims (AGENTS.md, HYDRATE.md, the config)
+// are always installed; a file claimed by several components comes with any of them.
+const COMPONENTS = {
+  commands: { label: 'Slash commands (/plan, /build, ...)', paths: ['_cursor/commands/'] },
+  rules: {
+    label: 'Rules (main, app-context, stack rules)',
+    paths: ['_cursor/rules/', `${STACK_RULES_DIR}/`],
+  },
+  docs: { label: 'Docs structure (docs/)', paths: ['docs/'] },
+  'docs-update': {
+    label: 'Docs-update scripts (@docs-update markers)',
+    paths: ['scripts/docs-update/', 'scripts/ai-kit-paths.js'],
+    scripts: ['docs:update', 'docs:check', 'docs:check:ci', 'docs:verify-inline'],
+  },
+  'eslint-rules': { label: 'ESLint rules for doc markers', paths: ['eslint-rules/'] },
+  verify: {
+    label: 'Hydration and placeholder checks',
+    paths: ['scripts/hydrate-verify.js', 'scripts/placeholder-check.js', 'scripts/ai-kit-paths.js'],
+    scripts: ['ai-kit:verify'],
+  },
+};
+
+// Runtime subcommands, each running one bundled template script in the project, so fixes
+// reach every install with the CLI version. `--eject` copies the scripts into scripts/ instead.
+const SCRIPT_COMMANDS = {
+  verify: {
+    file: 'scripts/hydrate-verify.js',
+    description: 'Verify hydration: required files, config, placeholders, pending .new files',
+  },
+  placeholders: {
+    file: 'scripts/placeholder-check.js',
+    description: 'Find template placeholders left after hydration',
+  },
+  markers: {
+    file: 'scripts/docs-update/check-markers.js',
+    description: 'List @docs-update markers and flag expired ones',
+  },
+  'docs-context': {
+    file: 'scripts/docs-update/generate-context.js',
+    description: 'Collect recent git changes and affected docs for a docs update',
+  },
+  'verify-inline': {
+    file: 'scripts/docs-update/verify-inline.js',
+    description: 'Check that DOCS.md files referenced in documentation exist',
+  },
+};
+// First release that ships SCRIPT_COMMANDS; the devDependency range starts here, not at this CLI
+const RUNTIME_MIN_VERSION = '2.5.0';
+// Template files that only exist in the project when the scripts are ejected
+const EJECTED_SCRIPT_PATTERN = /^scripts\/.+\.js$/;
+
+// Existing script values that run AI Kit's own files. Installs from before the manifest
+// recorded its scripts are upgraded when they match.
+const AI_KIT_SCRIPT_VALUE_PATTERN =
+  /^node scripts\/(hydrate-verify|placeholder-check|docs-update\/[\w-]+)\.js(\s|$)/;
+
+const FILE_STATES = {
+  PRISTINE: 'pristine',
+  MODIFIED: 'modified',
+  MISSING: 'missing',
+  OUTDATED: 'outdated',
+  CONFLICT: 'conflict',
+};
 
 const OUTPUT_MODES = {
   FULL: 'full',
   COMPACT: 'compact',
   QUIET: 'quiet',
+  // Programmatic use: nothing is printed, errors are thrown instead
+  SILENT: 'silent',
 };
 
+// Thrown by the programmatic API (and caught by the CLI, which has already printed it).
+// `code` is stable for callers to branch on; `report` carries the init report when there is one.
+class AiKitError extends Error {
+  constructor(message, { code = 'EAIKIT', exitCode = 1, report = null } = {}) {
+    super(message);
+    this.name = 'AiKitError';
+    this.code = code;
+    this.exitCode = exitCode;
+    this.report = report;
+  }
+}
+
 // Project detection patterns
 const PROJECT_SIGNATURES = {
   nextjs: {
@@ -106,56 +340,258 @@ const PROJECT_SIGNATURES = {
     label: 'Rust',
     hintCandidate: { file: 'rust.mdc', description: 'Rust conventions' },
   },
+  nuxt: {
+    files: ['nuxt.config.ts', 'nuxt.config.js'],
+    deps: ['nuxt'],
+    label: 'Nuxt',
+    hintCandidate: { file: 'nuxt.mdc', description: 'Nuxt conventions' },
+  },
+  vue: {
+    files: ['vue.config.js'],
+    deps: ['vue'],
+    label: 'Vue',
+    hintCandidate: { file: 'vue.mdc', description: 'Vue component conventions' },
+  },
+  sveltekit: {
+    files: ['svelte.config.js'],
+    deps: ['@sveltejs/kit'],
+    label: 'SvelteKit',
+    hintCandidate: { file: 'sveltekit.mdc', description: 'SvelteKit route conventions' },
+  },
+  remix: {
+    files: ['remix.config.js'],
+    deps: ['@remix-run/react', '@remix-run/node', '@remix-run/dev'],
+    label: 'Remix',
+    hintCandidate: { file: 'remix.mdc', description: 'Remix route conventions' },
+  },
+  astro: {
+    files: ['astro.config.mjs', 'astro.config.ts', 'astro.config.js'],
+    deps: ['astro'],
+    label: 'Astro',
+    hintCandidate: { file: 'astro.mdc', description: 'Astro page and island conventions' },
+  },
+  vite: {
+    files: ['vite.config.ts', 'vite.config.js', 'vite.config.mjs'],
+    deps: ['vite'],
+    label: 'Vite',
+  },
+  django: {
+    files: ['manage.py'],
+    ...pythonPackageSignature('django'),
+    label: 'Django',
+    hintCandidate: { file: 'django.mdc', description: 'Django app conventions' },
+  },
+  fastapi: {
+    ...pythonPackageSignature('fastapi'),
+    label: 'FastAPI',
+    hintCandidate: { file: 'fastapi.mdc', description: 'FastAPI route conventions' },
+  },
+  rails: {
+    files: ['bin/rails'],
+    contains: [{ file: 'Gemfile', pattern: /^\s*gem\s+["']rails["']/m }],
+    versions: [
+      { file: 'Gemfile.lock', pattern: /^\s{4}rails \((\d[\w.]*)\)/m },
+      { file: 'Gemfile', pattern: /^\s*gem\s+["']rails["']\s*,\s*["'][~>=\s]*(\d[\w.]*)/m },
+    ],
+    label: 'Rails',
+    hintCandidate: { file: 'rails.mdc', description: 'Rails conventions' },
+  },
+  laravel: {
+    files: ['artisan'],
+    contains: [{ file: 'composer.json', pattern: /"laravel\/framework"/ }],
+    versions: [
+      {
+        file: 'composer.lock',
+        pattern: /"name":\s*"laravel\/framework",\s*"version":\s*"v?(\d[\w.]*)"/,
+      },
+      { file: 'composer.json', pattern: /"laravel\/framework":\s*"[\^~>=\s]*(\d[\w.]*)/ },
+    ],
+    label: 'Laravel',
+    hintCandidate: { file: 'laravel.mdc', description: 'Laravel conventions' },
+  },
+  spring: {
+    contains: [
+      { file: 'pom.xml', pattern: /spring-boot/ },
+      { file: 'build.gradle', pattern: /org\.springframework\.boot/ },
+      { file: 'build.gradle.kts', pattern: /org\.springframework\.boot/ },
+    ],
+    versions: [
+      {
+        file: 'pom.xml',
+        pattern: /<artifactId>spring-boot-starter-parent<\/artifactId>\s*<version>(\d[\w.]*)</,
+      },
+      {
+        file: 'build.gradle',
+        pattern: /org\.springframework\.boot['"]\)?\s+version\s+['"](\d[\w.]*)/,
+      },
+      {
+        file: 'build.gradle.kts',
+        pattern: /org\.springframework\.boot['"]\)?\s+version\s+['"](\d[\w.]*)/,
+      },
+    ],
+    label: 'Spring Boot',
+    hintCandidate: { file: 'spring.mdc', description: 'Spring Boot conventions' },
+  },
+  deno: {
+    files: ['deno.json', 'deno.jsonc'],
+    label: 'Deno',
+    hintCandidate: { file: 'deno.mdc', description: 'Deno conventions' },
+  },
 };
 
-// Detect project type
-function detectProject(projectRoot) {
-  const detected = [];
-  let pkgDeps = [];
+// Detection and version patterns for a Python package in the usual dependency files
+function pythonPackageSignature(name) {
+  const files = ['requirements.txt', 'pyproject.toml', 'Pipfile'];
+  return {
+    contains: files.map((file) => ({
+      file,
+      pattern: new RegExp(`^\\s*["']?${name}(?![\\w-])`, 'im'),
+    })),
+    versions: files.map((file) => ({
+      file,
+      pattern: new RegExp(
+        `^\\s*["']?${name}["']?\\s*(?:\\[[^\\]]*\\])?\\s*(?:[=~>]=|=\\s*(?:\\{\\s*version\\s*=\\s*)?["'][\\^~>=]*)\\s*(\\d[\\w.]*)`,
+        'im'
+      ),
+    })),
+  };
+}
 
-  // Read package.json dependencies
-  const pkgPath = path.join(projectRoot, 'package.json');
-  if (fs.existsSync(pkgPath)) {
+// Read each project file at most once per detection run (null when missing)
+function createFileReader(projectRoot) {
+  const cache = new Map();
+  return (relPath) => {
+    if (!cache.has(relPath)) {
+      const filePath = path.join(projectRoot, relPath);
+      cache.set(
+        relPath,
+        fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+          ? fs.readFileSync(filePath, 'utf-8')
+          : null
+      );
+    }
+    return cache.get(relPath);
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Installed version of an npm dependency from the first lockfile that lists it
+function readLockedNpmVersion(readFile, name) {
+  const packageLock = readFile('package-lock.json');
+  if (packageLock) {
     try {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-      pkgDeps = [...Object.keys(pkg.dependencies || {}), ...Object.keys(pkg.devDependencies || {})];
-    } catch (e) {
+      const lock = JSON.parse(packageLock);
+      const version =
+        lock.packages?.[`node_modules/${name}`]?.version || lock.dependencies?.[name]?.version;
+      if (version) {
+        return version;
+      }
+    } catch {
       // Ignore parse errors
     }
   }
+  const escaped = escapeRegExp(name);
+  const lockPatterns = [
+    ['pnpm-lock.yaml', new RegExp(`^\\s+['"]?/?${escaped}@(\\d[^:('"\\s]*)`, 'm')],
+    ['yarn.lock', new RegExp(`^"?${escaped}@[^\\n]*:\\r?\\n\\s+version:?\\s+"?(\\d[^"\\s]*)`, 'm')],
+  ];
+  for (const [lockfile, pattern] of lockPatterns) {
+    const match = readFile(lockfile)?.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
 
-  // Check each signature
-  for (const [key, sig] of Object.entries(PROJECT_SIGNATURES)) {
-    let matched = false;
+// Lockfile version first, then the package.json range, then the detector's own patterns
+function detectStackVersion(sig, pkgDeps, readFile) {
+  const dep = (sig.deps || []).find((name) => Object.prototype.hasOwnProperty.call(pkgDeps, name));
+  let version = dep ? readLockedNpmVersion(readFile, dep) || pkgDeps[dep] : null;
+  for (const { file, pattern } of sig.versions || []) {
+    if (version) {
+      break;
+    }
+    version = readFile(file)?.match(pattern)?.[1] || null;
+  }
+  const major = version ? Number.parseInt(String(version).match(/\d+/)?.[0], 10) : NaN;
+  return { version, major: Number.isNaN(major) ? null : major };
+}
 
-    // Check for signature files
-    if (sig.files) {
-      for (const file of sig.files) {
-        if (fs.existsSync(path.join(projectRoot, file))) {
-          matched = true;
-          break;
-        }
-      }
+// Built-in detectors plus `detectors` from ai-kit.config.json (a matching key replaces a built-in)
+function getDetectors(projectRoot, cursorDirName) {
+  const custom = readKitConfig(projectRoot, cursorDirName).detectors;
+  if (!Array.isArray(custom)) {
+    return PROJECT_SIGNATURES;
+  }
+  const detectors = { ...PROJECT_SIGNATURES };
+  for (const entry of custom) {
+    if (!entry || typeof entry.key !== 'string') {
+      continue;
     }
+    const toPatterns = (list) =>
+      (Array.isArray(list) ? list : [])
+        .filter((item) => item?.file && item?.pattern)
+        .map(({ file, pattern }) => {
+          try {
+            return { file, pattern: new RegExp(pattern, 'im') };
+          } catch (error) {
+            throw new Error(`Invalid pattern in detector "${entry.key}": ${error.message}`);
+          }
+        });
+    detectors[entry.key] = {
+      files: entry.files,
+      deps: entry.deps,
+      contains: toPatterns(entry.contains),
+      versions: toPatterns(entry.versions),
+      label: entry.label || entry.key,
+      hintCandidate: entry.hint,
+    };
+  }
+  return detectors;
+}
 
-    // Check for dependencies
-    if (!matched && sig.deps) {
-      for (const dep of sig.deps) {
-        if (pkgDeps.includes(dep)) {
-          matched = true;
-          break;
-        }
-      }
+function formatStackLabel(p) {
+  return p.major ? `${p.label} ${p.major}` : p.label;
+}
+
+// Detect project type
+function detectProject(projectRoot, detectors = PROJECT_SIGNATURES) {
+  const detected = [];
+  const readFile = createFileReader(projectRoot);
+  let pkgDeps = {};
+
+  // Read package.json dependencies
+  const pkgJson = readFile('package.json');
+  if (pkgJson) {
+    try {
+      const pkg = JSON.parse(pkgJson);
+      pkgDeps = { ...pkg.devDependencies, ...pkg.dependencies };
+    } catch (e) {
+      // Ignore parse errors
     }
+  }
+
+  // Check each signature: marker files, package.json dependencies, or file contents
+  for (const [key, sig] of Object.entries(detectors)) {
+    const matched =
+      (sig.files || []).some((file) => fs.existsSync(path.join(projectRoot, file))) ||
+      (sig.deps || []).some((dep) => Object.prototype.hasOwnProperty.call(pkgDeps, dep)) ||
+      (sig.contains || []).some(({ file, pattern }) => pattern.test(readFile(file) || ''));
 
     if (matched) {
-      detected.push({ key, ...sig });
+      detected.push({ key, ...sig, ...detectStackVersion(sig, pkgDeps, readFile) });
     }
   }
 
   return detected;
 }
 
+const NEXT_ROUTER_LABELS = { app: 'App Router', pages: 'Pages Router' };
+
 function detectNextRouter(projectRoot) {
   const appDir = path.join(projectRoot, 'app');
   const appSrcDir = path.join(projectRoot, 'src', 'app');
@@ -205,6 +641,331 @@ function detectSourceRoots(projectRoot) {
   return found.length > 0 ? found : ['src/', 'app/', 'lib/'];
 }
 
+// Entry files that exist, so the hydration prompt can name them instead of a generic list
+function detectEntryFiles(projectRoot) {
+  const candidates = [
+    'app/layout.tsx',
+    'app/layout.jsx',
+    'app/layout.js',
+    'src/app/layout.tsx',
+    'src/app/layout.jsx',
+    'src/app/layout.js',
+    'pages/_app.tsx',
+    'pages/_app.jsx',
+    'pages/_app.js',
+    'src/pages/_app.tsx',
+    'src/pages/_app.jsx',
+    'src/pages/_app.js',
+    'src/main.ts',
+    'src/main.tsx',
+    'src/main.js',
+    'src/index.ts',
+    'src/index.tsx',
+    'src/index.js',
+    'src/App.tsx',
+    'src/App.jsx',
+    'src/App.vue',
+    'src/server.ts',
+    'src/server.js',
+    'server.js',
+    'app.js',
+    'index.js',
+    'main.py',
+    'app/main.py',
+    'manage.py',
+    'main.go',
+    'src/main.rs',
+    'src/lib.rs',
+    'config/routes.rb',
+    'routes/web.php',
+    'main.ts',
+    'mod.ts',
+  ];
+  return candidates.filter((file) => {
+    const fullPath = path.join(projectRoot, file);
+    return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+  });
+}
+
+// `packageManager` field first, then lockfiles; npm when nothing says otherwise
+function detectPackageManager(projectRoot) {
+  const pkgPath = path.join(projectRoot, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const declared = JSON.parse(fs.readFileSync(pkgPath, 'utf-8')).packageManager;
+      const name = typeof declared === 'string' ? declared.split('@')[0] : null;
+      if (RUN_SCRIPT_COMMANDS[name]) {
+        return name;
+      }
+    } catch {
+      // Ignore parse errors
+    }
+  }
+  const match = LOCKFILE_PACKAGE_MANAGERS.find(([lockfile]) =>
+    fs.existsSync(path.join(projectRoot, lockfile))
+  );
+  return match ? match[1] : 'npm';
+}
+
+function readProjectName(projectRoot) {
+  const pkgPath = path.join(projectRoot, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const { name } = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+      if (typeof name === 'string' && name.length > 0) {
+        return name;
+      }
+    } catch {
+      // Ignore parse errors
+    }
+  }
+  return path.basename(projectRoot);
+}
+
+// Workspace globs from package.json `workspaces` (npm, yarn) or pnpm-workspace.yaml
+function readWorkspaceGlobs(projectRoot) {
+  const globs = [];
+  const pkgPath = path.join(projectRoot, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const { workspaces } = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+      const list = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+      if (Array.isArray(list)) {
+        globs.push(...list.filter((glob) => typeof glob === 'string'));
+      }
+    } catch {
+      // Ignore parse errors
+    }
+  }
+
+  const pnpmPath = path.join(projectRoot, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmPath)) {
+    // Only the `packages:` list is needed, so a line scan is enough
+    let inPackages = false;
+    for (const line of fs.readFileSync(pnpmPath, 'utf-8').split(/\r?\n/)) {
+      if (/^\S/.test(line)) {
+        inPackages = /^packages\s*:/.test(line);
+        continue;
+      }
+      const item = inPackages && line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (item) {
+        globs.push(item[1]);
+      }
+    }
+  }
+
+  return [...new Set(globs.map((glob) => glob.trim().replace(/^\.\//, '').replace(/\/+$/, '')))];
+}
+
+// Expand workspace globs into package folders (those with a package.json), sorted by path
+function listWorkspacePackages(projectRoot) {
+  const globs = readWorkspaceGlobs(projectRoot);
+  const include = globs.filter((glob) => !glob.startsWith('!'));
+  if (include.length === 0) {
+    return [];
+  }
+  const isIncluded = picomatch(include);
+  const excluded = globs.filter((glob) => glob.startsWith('!')).map((glob) => glob.slice(1));
+  const isExcluded = excluded.length > 0 ? picomatch(excluded) : () => false;
+  const found = new Map();
+
+  const visit = (relDir, depth) => {
+    const fullDir = path.join(projectRoot, relDir);
+    if (
+      relDir &&
+      isIncluded(relDir) &&
+      !isExcluded(relDir) &&
+      fs.existsSync(path.join(fullDir, 'package.json'))
+    ) {
+      found.set(relDir, { dir: relDir, name: readProjectName(fullDir) });
+    }
+    if (depth >= WORKSPACE_MAX_DEPTH) {
+      return;
+    }
+    for (const entry of fs.readdirSync(fullDir, { withFileTypes: true })) {
+      if (entry.isDirectory() && !WORKSPACE_SKIP_DIRS.has(entry.name)) {
+        visit(relDir ? `${relDir}/${entry.name}` : entry.name, depth + 1);
+      }
+    }
+  };
+
+  // Walk only below the literal prefix of each glob (`packages/*` starts at packages/)
+  for (const glob of include) {
+    const literal = [];
+    for (const segment of glob.split('/')) {
+      if (picomatch.scan(segment).isGlob) {
+        break;
+      }
+      literal.push(segment);
+    }
+    const base = literal.join('/');
+    if (fs.existsSync(path.join(projectRoot, base))) {
+      visit(base, literal.length);
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+// Variables available to templates as {{name}}, {{#if name}} and {{#unless name}}
+function buildTemplateVars(
+  projectRoot,
+  cursorDirName,
+  options = {},
+  { packages = [], detectors } = {}
+) {
+  const detected = detectProject(projectRoot, detectors);
+  const packageManager = detectPackageManager(projectRoot);
+  const installedComponents = options.zeroConfig
+    ? ['rules']
+    : options.components || Object.keys(COMPONENTS);
+  // Scripts only go into package.json when there is one and --no-scripts was not given
+  const installedScripts =
+    options.scripts === false || !fs.existsSync(path.join(projectRoot, 'package.json'))
+      ? new Set()
+      : new Set(installedComponents.flatMap((key) => COMPONENTS[key]?.scripts || []));
+  return {
+    cursorDir: cursorDirName,
+    projectName: readProjectName(projectRoot),
+    // The setup wizard can replace the detected source roots and stack labels
+    sourceRoots:
+      options.sourceRoots ||
+      (packages.length > 0 ? packages.map((p) => `${p.dir}/`) : detectSourceRoots(projectRoot)),
+    stacks: options.stacks || detected.map(formatStackLabel),
+    // {{#if stack.nextjs}}, {{stack.nextjs.version}}, {{#if stack.nextjs.v15}}
+    stack: Object.fromEntries(
+      detected.map((p) => [
+        p.key,
+        {
+          label: p.label,
+          version: p.version,
+          major: p.major,
+          ...(p.major ? { [`v${p.major}`]: true } : {}),
+        },
+      ])
+    ),
+    // {{entryFiles | code}} and {{nextRouter}} point the hydration prompt at real files
+    entryFiles: detectEntryFiles(projectRoot),
+    nextRouter: detected.some((p) => p.key === 'nextjs')
+      ? NEXT_ROUTER_LABELS[detectNextRouter(projectRoot)] || null
+      : null,
+    packageManager,
+    runScript: RUN_SCRIPT_COMMANDS[packageManager],
+    minimal: Boolean(options.zeroConfig),
+    components: installedComponents,
+    // {{#if component.docsUpdate}}: minimal installs only get rules
+    component: Object.fromEntries(
+      Object.keys(COMPONENTS).map((key) => [toTemplateKey(key), installedComponents.includes(key)])
+    ),
+    // {{script.verify}} -> `pnpm ai-kit:verify`, honoring --script-prefix; without that
+    // package.json script, the command it would run (`npx create-ai-kit verify`)
+    script: Object.fromEntries(
+      Object.entries(AI_KIT_SCRIPTS).map(([name, value]) => {
+        const runner = RUN_SCRIPT_COMMANDS[packageManager];
+        const direct = options.eject ? value : `npx ${toRuntimeScript(value)}`;
+        return [
+          toTemplateKey(name.replace(/^ai-kit:/, '')),
+          installedScripts.has(name)
+            ? `${runner} ${prefixScriptName(name, options.scriptPrefix)}`
+            : direct,
+        ];
+      })
+    ),
+    // {{#if hasScript.verify}}: the script is in package.json
+    hasScript: Object.fromEntries(
+      Object.keys(AI_KIT_SCRIPTS).map((name) => [
+        toTemplateKey(name.replace(/^ai-kit:/, '')),
+        installedScripts.has(name),
+      ])
+    ),
+    // {{#if eject}}: the scripts live in scripts/ rather than behind `create-ai-kit <command>`
+    eject: Boolean(options.eject),
+    packages: packages.map((p) => p.dir),
+    workspaces: Boolean(options.workspaces) && packages.length > 0,
+    assistants: (options.targets || [])
+      .filter((key) => key !== DEFAULT_TARGET)
+      .map((key) => ASSISTANT_TARGETS[key].label),
+  };
+}
+
+function lookupTemplateVar(vars, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+function isTemplateVarSet(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function formatTemplateVar(value, filter) {
+  if (filter === 'json') {
+    return JSON.stringify(value);
+  }
+  if (filter === 'code') {
+    return (Array.isArray(value) ? value : [value]).map((item) => `\`${item}\``).join(', ');
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+const TEMPLATE_BLOCK_LINE_PATTERN =
+  /^[ \t]*(\{\{\s*(?:#if\s+[\w.]+|#unless\s+[\w.]+|else|\/if|\/unless)\s*\}\})[ \t]*\r?\n/gm;
+const TEMPLATE_TAG_PATTERN =
+  /\{\{\s*(?:(#if|#unless)\s+([\w.]+)|(else|\/if|\/unless)|([\w.]+)(?:\s*\|\s*(\w+))?)\s*\}\}/g;
+
+// Render {{name}}, {{name | json}}, {{name | code}} (backticked, comma-separated),
+// {{#if name}}…{{else}}…{{/if}} and {{#unless name}}…{{/unless}}.
+// Unknown names are left untouched so literal braces (ESLint message data, docs) survive.
+function interpolateTemplate(text, vars) {
+  // Block tags on a line of their own take the whole line with them
+  const source = text.replace(TEMPLATE_BLOCK_LINE_PATTERN, '$1');
+  const stack = [];
+  const emitting = () => stack.every((frame) => frame.active);
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TEMPLATE_TAG_PATTERN)) {
+    const [tag, openKeyword, condition, closeKeyword, name, filter] = match;
+    if (emitting()) {
+      output += source.slice(lastIndex, match.index);
+    }
+    lastIndex = match.index + tag.length;
+
+    if (openKeyword) {
+      const isSet = isTemplateVarSet(lookupTemplateVar(vars, condition));
+      stack.push({ keyword: openKeyword, active: openKeyword === '#if' ? isSet : !isSet });
+    } else if (closeKeyword === 'else') {
+      if (stack.length === 0) {
+        throw new Error('{{else}} outside of {{#if}} or {{#unless}}');
+      }
+      stack[stack.length - 1].active = !stack[stack.length - 1].active;
+    } else if (closeKeyword) {
+      const frame = stack.pop();
+      if (!frame || frame.keyword.slice(1) !== closeKeyword.slice(1)) {
+        throw new Error(`Unexpected {{${closeKeyword}}}`);
+      }
+    } else if (emitting()) {
+      const value = lookupTemplateVar(vars, name);
+      output += value === undefined ? tag : formatTemplateVar(value, filter);
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed {{${stack[stack.length - 1].keyword}}}`);
+  }
+  return output + source.slice(lastIndex);
+}
+
+// Rule files the detectors suggest for the stacks detected in projectRoot
+function getStackHints(projectRoot, detected) {
+  return detected.flatMap((p) => {
+    if (p.key === 'nextjs') {
+      const router = detectNextRouter(projectRoot);
+      const candidate = router ? p.hintCandidates?.[router] : null;
+      return candidate ? [candidate] : [];
+    }
+    return p.hintCandidate ? [p.hintCandidate] : [];
+  });
+}
+
 function formatHint(cursorRulesDir, hint) {
   return `Consider creating ${cursorRulesDir}/${hint.file} for ${hint.description}`;
 }
@@ -222,7 +983,10 @@ function isWritableDir(targetPath) {
 }
 
 function getOutputMode(options) {
-  if (options.quiet) {
+  if (options.silent) {
+    return OUTPUT_MODES.SILENT;
+  }
+  if (options.quiet || options.json) {
     return OUTPUT_MODES.QUIET;
   }
   if (options.ci || !process.stdout.isTTY) {
@@ -232,7 +996,8 @@ function getOutputMode(options) {
 }
 
 function createLogger(outputMode) {
-  const isQuiet = outputMode === OUTPUT_MODES.QUIET;
+  const isSilent = outputMode === OUTPUT_MODES.SILENT;
+  const isQuiet = isSilent || outputMode === OUTPUT_MODES.QUIET;
   return {
     log: (...args) => {
       if (!isQuiet) {
@@ -250,191 +1015,198 @@ function createLogger(outputMode) {
       }
     },
     error: (...args) => {
-      console.error(...args);
+      if (!isSilent) {
+        console.error(...args);
+      }
     },
   };
 }
 
 function shouldIncludeTemplate(relPath, options) {
+  if (!options.eject && EJECTED_SCRIPT_PATTERN.test(relPath.replace(/\\/g, '/'))) {
+    return false;
+  }
+  if (options.components) {
+    const normalized = relPath.replace(/\\/g, '/');
+    const owners = Object.keys(COMPONENTS).filter((key) =>
+      COMPONENTS[key].paths.some((prefix) => normalized.startsWith(prefix))
+    );
+    if (owners.length > 0 && !owners.some((key) => options.components.includes(key))) {
+      return false;
+    }
+  }
   if (!options.zeroConfig) {
     return true;
   }
   return ZERO_CONFIG_ALLOWLIST.some((allowed) => relPath.startsWith(allowed));
 }
 
-function resolveHydrationPromptPath(projectRoot, cursorDirName) {
-  const preferred = path.join(projectRoot, 'docs', 'hydration-prompt.md');
-  const fallback = path.join(projectRoot, cursorDirName, 'HYDRATE.md');
-  if (fs.existsSync(preferred)) {
-    return preferred;
+// --only / --exclude (comma-separated or repeated) narrow `fallback`; null when neither is set
+function resolveComponents({ only = [], exclude = [] }, fallback = Object.keys(COMPONENTS)) {
+  const parse = (values) =>
+    values
+      .flatMap((value) => String(value).split(','))
+      .map((key) => key.trim().toLowerCase())
+      .filter(Boolean);
+  const onlyKeys = parse(only);
+  const excludeKeys = parse(exclude);
+  const unknown = [...onlyKeys, ...excludeKeys].find((key) => !COMPONENTS[key]);
+  if (unknown) {
+    const known = Object.keys(COMPONENTS).join(', ');
+    throw new Error(`Unknown component "${unknown}". Use one of: ${known}`);
   }
-  return fallback;
+  if (onlyKeys.length === 0 && excludeKeys.length === 0) {
+    return null;
+  }
+  const base = onlyKeys.length > 0 ? onlyKeys : fallback;
+  return Object.keys(COMPONENTS).filter((key) => base.includes(key) && !excludeKeys.includes(key));
 }
 
-function lintPromptContent(content, { maxLines, maxChars, maxRepeatedLines }) {
-  const lines = content.split('\n');
-  const trimmedLines = lines.map((line) => line.trim()).filter(Boolean);
-  const lineCounts = new Map();
+// `--script-prefix kit:` names the scripts `kit:verify`, `kit:docs:update`, ...
+function prefixScriptName(name, prefix) {
+  return prefix ? `${prefix}${name.replace(/^ai-kit:/, '')}` : name;
+}
 
-  for (const line of trimmedLines) {
-    lineCounts.set(line, (lineCounts.get(line) || 0) + 1);
-  }
+// `node scripts/docs-update/check-markers.js --ci` -> `create-ai-kit markers --ci`
+function toRuntimeScript(value) {
+  const [, file, args] = value.match(/^node (\S+)(.*)$/);
+  const name = Object.keys(SCRIPT_COMMANDS).find((key) => SCRIPT_COMMANDS[key].file === file);
+  return `${pkg.name} ${name}${args}`;
+}
 
-  const repeatedLines = [...lineCounts.entries()]
-    .filter(([, count]) => count >= maxRepeatedLines)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 8);
+// package.json scripts for the selected components: runtime subcommands unless ejected
+function getComponentScripts(components = Object.keys(COMPONENTS), prefix = null, eject = false) {
+  const names = new Set(components.flatMap((key) => COMPONENTS[key]?.scripts || []));
+  return Object.fromEntries(
+    Object.entries(AI_KIT_SCRIPTS)
+      .filter(([name]) => names.has(name))
+      .map(([name, value]) => [
+        prefixScriptName(name, prefix),
+        eject ? value : toRuntimeScript(value),
+      ])
+  );
+}
 
-  const warnings = [];
-  if (lines.length > maxLines) {
-    warnings.push(
-      `Too many lines: ${lines.length} (max ${maxLines}). Trim the prompt to keep it focused.`
-    );
-  }
-  if (content.length > maxChars) {
-    warnings.push(
-      `Too many characters: ${content.length} (max ${maxChars}). Trim repeated sections.`
-    );
-  }
-  if (repeatedLines.length > 0) {
-    const repeatedSummary = repeatedLines
-      .map(([line, count]) => `"${line.slice(0, 72)}"${count > 1 ? ` ×${count}` : ''}`)
-      .join('; ');
-    warnings.push(`Repeated lines detected: ${repeatedSummary}`);
+// Installs from before the runtime subcommands have the scripts copied in; they stay ejected
+function isEjectedInstall(manifest) {
+  if (typeof manifest?.options.eject === 'boolean') {
+    return manifest.options.eject;
   }
+  return Object.keys(manifest?.files || {}).some((relPath) => EJECTED_SCRIPT_PATTERN.test(relPath));
+}
 
-  return warnings;
+// `docs-update` -> `docsUpdate`, `docs:check:ci` -> `docsCheckCi` (template names allow [\w.])
+function toTemplateKey(name) {
+  return name.replace(/[:-](\w)/g, (_, letter) => letter.toUpperCase());
 }
 
-// Helper to calculate checksum
-function calculateChecksum(content) {
-  return crypto.createHash('md5').update(content).digest('hex');
+// Keep a JSON file's indentation, line endings and final newline when rewriting it
+function detectJsonFormat(text) {
+  const multiline = /\r?\n\s*\S/.test(text.trim());
+  return {
+    indent: multiline ? text.match(/^[ \t]+(?=\S)/m)?.[0] || '  ' : '',
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n$/.test(text),
+  };
 }
 
-// Helper for confirmation
-function confirm(msg) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
-  return new Promise((resolve) => {
-    rl.question(msg, (answer) => {
-      rl.close();
-      resolve(answer.toLowerCase().startsWith('y'));
-    });
-  });
+function stringifyJson(value, { indent, eol, finalNewline }) {
+  const json = JSON.stringify(value, null, indent).replace(/\n/g, eol);
+  return finalNewline ? `${json}${eol}` : json;
 }
 
-async function runInit(targetDir, options) {
-  if (options.ci) {
-    options.yes = true;
+// The project's ai-kit.config.json ({} when missing or unreadable)
+function readKitConfig(projectRoot, cursorDirName) {
+  const configPath = path.join(projectRoot, cursorDirName, 'ai-kit.config.json');
+  if (!fs.existsSync(configPath)) {
+    return {};
   }
-  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
-  const outputMode = getOutputMode(options);
-  const logger = createLogger(outputMode);
-  const minimalInstall = options.minimal || options.zeroConfig;
-  if (options.zeroConfig && !options.minimal) {
-    logger.warn(chalk.yellow('⚠️  --zero-config is deprecated. Use --minimal instead.'));
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8')) || {};
+  } catch {
+    return {};
   }
-  options.zeroConfig = minimalInstall;
-  const isCompact = outputMode === OUTPUT_MODES.COMPACT;
-  const cursorDirName = resolveCursorDirName(projectRoot, options, { dryRun: options.dryRun });
-  const cursorRulesDir = `${cursorDirName}/rules`;
+}
 
-  logger.log(chalk.blue('🚀 Initializing AI Kit...'));
-  if (cursorDirName !== DEFAULT_CURSOR_DIR && !isCompact) {
-    logger.log(chalk.gray(`  Using cursor directory: ${cursorDirName}`));
-    if (!options.cursorDir && !process.env.AI_KIT_CURSOR_DIR) {
-      logger.log(chalk.gray('  Auto-selected because .cursor is not writable.'));
-    }
-  }
+// Template sources listed under `templates` in the project's ai-kit.config.json
+function readConfigTemplates(projectRoot, cursorDirName) {
+  const { templates } = readKitConfig(projectRoot, cursorDirName);
+  return Array.isArray(templates)
+    ? templates.filter((spec) => typeof spec === 'string' && spec.trim().length > 0)
+    : [];
+}
 
-  if (!fs.existsSync(projectRoot)) {
-    if (options.dryRun) {
-      logger.log(chalk.gray(`  Would create target directory: ${projectRoot}`));
-    } else {
-      fse.ensureDirSync(projectRoot);
-      logger.log(chalk.gray(`  Created target directory: ${projectRoot}`));
-    }
-  }
+// Config sources first, then --template flags; CLI paths are stored relative to the project
+function getTemplateSpecs(projectRoot, cursorDirName, options) {
+  const fromCli = (options.template || []).map(
+    (spec) =>
+      path.relative(projectRoot, path.resolve(process.cwd(), spec)).replace(/\\/g, '/') || '.'
+  );
+  return [...new Set([...readConfigTemplates(projectRoot, cursorDirName), ...fromCli])];
+}
 
-  // 0. Check if this is a valid project directory
-  const pkgJsonPath = path.join(projectRoot, 'package.json');
-  if (!fs.existsSync(pkgJsonPath)) {
-    logger.warn(chalk.yellow('\n⚠️  No package.json found in current directory.'));
-    logger.log(chalk.gray('   AI Kit works best in a project root directory.'));
-    logger.log(chalk.gray('   If this is intentional, the scaffolding will continue.\n'));
-    logger.log(chalk.gray('   💡 Run `npm init -y` to create a package.json first.\n'));
-  }
+// Extracted template tarballs: removed once collectTemplates has rendered them, and on exit
+// in case it threw. One listener for the process, however often the Node API installs.
+const extractedTemplateDirs = new Set();
 
-  // 1. Check for collision
-  const cursorDir = path.join(projectRoot, cursorDirName);
-  const manifestPath = path.join(projectRoot, MANIFEST_FILE);
-  const hasCursor = fs.existsSync(cursorDir);
-  const hasManifest = fs.existsSync(manifestPath);
-  const safeUpgradeWithoutManifest = hasCursor && !hasManifest && !options.force;
+function removeExtractedTemplates() {
+  extractedTemplateDirs.forEach((dir) => fse.removeSync(dir));
+  extractedTemplateDirs.clear();
+}
 
-  if (safeUpgradeWithoutManifest) {
-    logger.warn(chalk.yellow(`⚠️  A ${cursorDirName} folder already exists without a manifest.`));
-    logger.log(chalk.gray('   Proceeding with a safe upgrade (no overwrites).'));
-    logger.log(chalk.gray('   Conflicts will be written as .new files.'));
+process.on('exit', removeExtractedTemplates);
+
+// Unpack a template tarball into a temp folder
+function extractTemplateTarball(tarballPath) {
+  const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-kit-template-'));
+  extractedTemplateDirs.add(extractDir);
+  const result = spawnSync('tar', ['-xf', tarballPath, '-C', extractDir], { encoding: 'utf-8' });
+  if (result.error || result.status !== 0) {
+    const reason = result.error?.message || result.stderr.trim();
+    throw new Error(`Could not extract ${tarballPath}: ${reason}`);
   }
 
-  // 2. Load Manifest if exists
-  const manifestBaseline = hasManifest
-    ? (() => {
-        try {
-          return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-        } catch (e) {
-          logger.warn(chalk.yellow('⚠️  Could not read existing manifest.'));
-          logger.warn(chalk.gray('   Try deleting .ai-kit-manifest.json and re-running.'));
-          return null;
-        }
-      })()
-    : null;
-  let manifest = { version: pkg.version, files: {} };
-  if (manifestBaseline) {
-    try {
-      const hasExistingFiles =
-        manifestBaseline.files && Object.keys(manifestBaseline.files).length > 0;
-      if (options.zeroConfig && hasExistingFiles) {
-        logger.warn(
-          chalk.yellow(
-            '⚠️  Minimal install requested on an existing install. Keeping manifest entries to avoid data loss.'
-          )
-        );
-        manifest = {
-          version: pkg.version,
-          files: { ...manifestBaseline.files },
-        };
-      } else {
-        manifest = {
-          version: pkg.version,
-          files: options.zeroConfig ? {} : { ...manifestBaseline.files },
-        };
-      }
-    } catch {
-      manifest = { version: pkg.version, files: {} };
-    }
+  // `npm pack` wraps everything in package/; a templates/ folder inside is the overlay root
+  let root = extractDir;
+  const entries = fs.readdirSync(root, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    root = path.join(root, entries[0].name);
   }
+  const nestedTemplates = path.join(root, 'templates');
+  return fs.existsSync(nestedTemplates) ? nestedTemplates : root;
+}
 
-  // 3. Confirm if destructive
-  if (options.force && !options.yes && !options.dryRun) {
-    const confirmed = await confirm(
-      chalk.yellow('⚠️  You used --force. This may overwrite files. Continue? (y/N) ')
-    );
-    if (!confirmed) {
-      console.log('Aborted.');
-      process.exit(0);
+// Built-in templates first, then each overlay in order (later layers win)
+function resolveTemplateLayers(projectRoot, specs = []) {
+  const layers = [{ name: null, dir: TEMPLATES_DIR, remove: [] }];
+  for (const spec of specs) {
+    const specPath = path.resolve(projectRoot, spec);
+    if (!fs.existsSync(specPath)) {
+      throw new Error(`Template source not found: ${spec}`);
+    }
+    const dir = fs.statSync(specPath).isDirectory() ? specPath : extractTemplateTarball(specPath);
+
+    let remove = [];
+    const overlayConfigPath = path.join(dir, TEMPLATE_OVERLAY_FILE);
+    if (fs.existsSync(overlayConfigPath)) {
+      try {
+        const overlayConfig = JSON.parse(fs.readFileSync(overlayConfigPath, 'utf-8'));
+        remove = Array.isArray(overlayConfig.remove) ? overlayConfig.remove : [];
+      } catch (error) {
+        throw new Error(`Invalid ${TEMPLATE_OVERLAY_FILE} in ${spec}: ${error.message}`);
+      }
     }
+    layers.push({ name: spec, dir, remove });
   }
+  return layers;
+}
 
-  // 4. Gather files to copy
-  const filesToProcess = [];
+// Walk every template layer and render each file for this project
+function collectTemplates(projectRoot, cursorDirName, options) {
+  const selected = new Map();
 
   // Recursive walk function
-  function walk(dir, baseDir = '') {
+  function walk(layer, dir, baseDir = '') {
     const files = fs.readdirSync(dir);
     for (const file of files) {
       const fullPath = path.join(dir, file);
@@ -442,271 +1214,1940 @@ async function runInit(targetDir, options) {
       const relPath = path.join(baseDir, file);
 
       if (stat.isDirectory()) {
-        walk(fullPath, relPath);
-      } else {
-        if (shouldIncludeTemplate(relPath, options)) {
-          filesToProcess.push(relPath);
-        }
+        walk(layer, fullPath, relPath);
+      } else if (relPath !== TEMPLATE_OVERLAY_FILE && shouldIncludeTemplate(relPath, options)) {
+        selected.set(relPath, layer);
       }
     }
   }
 
-  walk(TEMPLATES_DIR);
-
-  const updates = [];
-  const creations = [];
-  const skips = [];
-  const newFiles = [];
-  const preserveList = [
-    'AGENTS.md',
-    `${cursorRulesDir}/main.mdc`,
-    `${cursorDirName}/HYDRATE.md`, // Should not exist usually, but if it does
-  ];
-
-  for (const relPath of filesToProcess) {
-    let targetRelPath = relPath;
-
-    // Rename _cursor to the target cursor directory
-    if (targetRelPath.startsWith('_cursor')) {
-      targetRelPath = targetRelPath.replace('_cursor', cursorDirName);
-    }
-    // Rename file-doc-map.template.json
-    if (targetRelPath.includes('file-doc-map.template.json')) {
-      targetRelPath = targetRelPath.replace('file-doc-map.template.json', 'file-doc-map.json');
+  const packages = listWorkspacePackages(projectRoot);
+  const detectors = getDetectors(projectRoot, cursorDirName);
+  const vars = buildTemplateVars(projectRoot, cursorDirName, options, { packages, detectors });
+  for (const layer of resolveTemplateLayers(projectRoot, options.templates)) {
+    // A layer's deny list removes files contributed by the layers below it
+    if (layer.remove.length > 0) {
+      const isRemoved = picomatch(layer.remove, { dot: true });
+      for (const relPath of [...selected.keys()]) {
+        if (isRemoved(relPath.replace(/\\/g, '/'))) {
+          selected.delete(relPath);
+        }
+      }
     }
+    walk(layer, layer.dir);
+  }
 
-    const templatePath = path.join(TEMPLATES_DIR, relPath);
-    const targetPath = path.join(projectRoot, targetRelPath);
-
-    let templateContent = fs.readFileSync(templatePath);
-
-    // Auto-fill sourceRoots in ai-kit.config.json based on detected directories
-    if (targetRelPath === `${cursorDirName}/ai-kit.config.json`) {
-      const detectedRoots = detectSourceRoots(projectRoot);
-      const rootsJson = JSON.stringify(detectedRoots);
-      const updated = templateContent.toString('utf-8').replace('["PLACEHOLDER"]', rootsJson);
-      templateContent = Buffer.from(updated, 'utf-8');
+  // Stack rule packs are opt-in and only installed for stacks detected in that folder
+  const isWanted = (relPath, stackRoot) => {
+    const normalized = relPath.replace(/\\/g, '/');
+    if (!normalized.startsWith(`${STACK_RULES_DIR}/`)) {
+      return true;
     }
+    const file = normalized.slice(STACK_RULES_DIR.length + 1);
+    return (
+      Boolean(options.stackRules) &&
+      getStackHints(stackRoot, detectProject(stackRoot, detectors)).some((h) => h.file === file)
+    );
+  };
 
-    // Update cursor dir reference in file-doc-map.json
-    if (
-      cursorDirName !== DEFAULT_CURSOR_DIR &&
-      targetRelPath === 'scripts/docs-update/file-doc-map.json'
-    ) {
-      const updated = templateContent
-        .toString('utf-8')
-        .replace('.cursor/rules/**', `${cursorDirName}/rules/**`);
-      templateContent = Buffer.from(updated, 'utf-8');
+  const templates = [...selected]
+    .filter(([relPath]) => isWanted(relPath, projectRoot))
+    .map(([relPath, layer]) => renderTemplate(cursorDirName, relPath, layer, vars));
+  const targetTemplates = renderAssistantTargets(templates, cursorDirName, options.targets, vars);
+
+  // Each package gets its own context files, rendered with its own stack and source roots
+  for (const pkgInfo of vars.workspaces ? packages : []) {
+    const packageRoot = path.join(projectRoot, pkgInfo.dir);
+    const packageVars = {
+      ...buildTemplateVars(
+        packageRoot,
+        cursorDirName,
+        { ...options, sourceRoots: null, stacks: null },
+        { detectors }
+      ),
+      packageManager: vars.packageManager,
+      runScript: vars.runScript,
+      script: vars.script,
+      hasScript: vars.hasScript,
+    };
+    const packageTemplates = [...selected].filter(
+      ([relPath]) =>
+        WORKSPACE_TEMPLATE_FILES.includes(relPath.replace(/\\/g, '/')) ||
+        (relPath.startsWith(STACK_RULES_DIR) && isWanted(relPath, packageRoot))
+    );
+    for (const [relPath, layer] of packageTemplates) {
+      const template = renderTemplate(cursorDirName, relPath, layer, packageVars);
+      templates.push({
+        ...template,
+        targetRelPath: path.join(pkgInfo.dir, template.targetRelPath),
+      });
     }
+  }
+  // Every layer file has been read, so the extracted tarballs can go
+  removeExtractedTemplates();
+  return [...templates, ...targetTemplates];
+}
 
-    const templateChecksum = calculateChecksum(templateContent);
-
-    // Check preserve list
-    if (preserveList.some((p) => targetRelPath.endsWith(p)) && fs.existsSync(targetPath)) {
-      skips.push({ path: targetRelPath, reason: 'Preserved' });
-      // Update manifest with CURRENT file checksum to avoid future diffs
-      const currentContent = fs.readFileSync(targetPath);
-      manifest.files[targetRelPath] = calculateChecksum(currentContent);
+// Parse --target values ("claude,copilot" or repeated flags); Cursor is always included
+function resolveTargets(values = []) {
+  const targets = [DEFAULT_TARGET];
+  for (const value of values.flatMap((v) => String(v).split(','))) {
+    const key = value.trim().toLowerCase();
+    if (!key || targets.includes(key)) {
       continue;
     }
+    if (!ASSISTANT_TARGETS[key]) {
+      const known = Object.keys(ASSISTANT_TARGETS).join(', ');
+      throw new Error(`Unknown target "${value.trim()}". Use one of: ${known}`);
+    }
+    targets.push(key);
+  }
+  return targets;
+}
 
-    if (fs.existsSync(targetPath)) {
-      const currentContent = fs.readFileSync(targetPath);
-      const currentChecksum = calculateChecksum(currentContent);
+// Split .mdc frontmatter into description, globs and alwaysApply
+function parseRuleFile(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { description: '', globs: [], alwaysApply: false, body: content.trim() };
+  }
+  const field = (name) =>
+    match[1].match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'm'))?.[1].trim() || '';
+  // Quoted globs may contain commas (`'app/**/*.{ts,tsx}'`), so only split bare lists
+  const rawGlobs = field('globs');
+  const quoted = [...rawGlobs.matchAll(/['"]([^'"]+)['"]/g)].map((m) => m[1]);
+  const globs =
+    quoted.length > 0
+      ? quoted
+      : rawGlobs
+          .replace(/^\[|\]$/g, '')
+          .split(',')
+          .map((glob) => glob.trim())
+          .filter(Boolean);
+  return {
+    description: field('description'),
+    globs,
+    alwaysApply: field('alwaysApply') === 'true',
+    body: content.slice(match[0].length).trim(),
+  };
+}
 
-      // If file matches template, no change needed
-      if (currentChecksum === templateChecksum) {
-        manifest.files[targetRelPath] = templateChecksum; // Ensure manifest is up to date
-        continue;
+// Push headings down one level so rules nest under the combined file's title
+function demoteHeadings(markdown) {
+  let inFence = false;
+  return markdown
+    .split('\n')
+    .map((line) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
       }
+      return !inFence && /^#{1,5} /.test(line) ? `#${line}` : line;
+    })
+    .join('\n');
+}
 
-      // Check if file was modified by user compared to LAST manifest
-      const lastChecksum = manifestBaseline?.files?.[targetRelPath];
-      const hasBaseline = Boolean(lastChecksum);
-      const userModified =
-        (hasBaseline && lastChecksum !== currentChecksum) ||
-        (!hasBaseline && safeUpgradeWithoutManifest);
+// A rule body with its file scope stated under the first heading
+function describeRuleScope(rule, body = rule.body) {
+  if (rule.globs.length === 0) {
+    return body;
+  }
+  const scope = `Applies to ${rule.globs.map((glob) => `\`${glob}\``).join(', ')}.`;
+  const [first, ...rest] = body.split('\n');
+  return first.startsWith('#') ? [first, '', scope, ...rest].join('\n') : `${scope}\n\n${body}`;
+}
 
-      if (options.force || safeUpgradeWithoutManifest) {
-        if (userModified) {
-          // User modified file: create .new
-          newFiles.push({ path: targetRelPath + '.new', content: templateContent });
-          logger.warn(
-            chalk.yellow(`  Conflict: ${targetRelPath} modified by user. Creating .new file.`)
-          );
-        } else {
-          // Safe to update
-          updates.push({
-            path: targetRelPath,
-            content: templateContent,
-            checksum: templateChecksum,
-          });
-        }
-      } else {
-        if (hasBaseline) {
-          // Record current checksum to avoid repeated diffs on future runs
-          manifest.files[targetRelPath] = currentChecksum;
-        }
-        logger.warn(
-          chalk.yellow(`  Skipping existing file: ${targetRelPath} (use --force to overwrite)`)
-        );
-      }
-    } else {
-      creations.push({ path: targetRelPath, content: templateContent, checksum: templateChecksum });
+function renderCombinedRules(rules, vars) {
+  const sections = rules.map(({ rule }) => describeRuleScope(rule, demoteHeadings(rule.body)));
+  return [
+    `# ${vars.projectName}`,
+    '',
+    `<!-- Generated by AI Kit from ${vars.cursorDir}/rules. Re-run \`npx create-ai-kit --force\` to update. -->`,
+    '',
+    sections.join('\n\n'),
+    '',
+  ].join('\n');
+}
+
+// Render the root Cursor rules and commands into each extra target's native files
+function renderAssistantTargets(templates, cursorDirName, targets = [], vars) {
+  const rulesPrefix = `${cursorDirName}/rules/`;
+  const commandsPrefix = `${cursorDirName}/commands/`;
+  const rules = [];
+  const commands = [];
+  for (const template of templates) {
+    const normalized = template.targetRelPath.replace(/\\/g, '/');
+    const name = path.basename(normalized).replace(/\.(mdc|md)$/, '');
+    // `_template.mdc` is a reference for writing rules, not a rule
+    if (
+      normalized.startsWith(rulesPrefix) &&
+      normalized.endsWith('.mdc') &&
+      !name.startsWith('_')
+    ) {
+      rules.push({ name, template, rule: parseRuleFile(template.content.toString('utf-8')) });
+    } else if (normalized.startsWith(commandsPrefix) && normalized.endsWith('.md')) {
+      commands.push({ name, template });
     }
   }
+  // Always-on rules lead combined files; scoped ones follow
+  rules.sort((a, b) => Number(b.rule.alwaysApply) - Number(a.rule.alwaysApply));
+
+  const rendered = [];
+  for (const key of targets.filter((target) => target !== DEFAULT_TARGET)) {
+    const target = ASSISTANT_TARGETS[key];
+    const add = (targetRelPath, content, from) =>
+      rendered.push({
+        relPath: from ? from.relPath : targetRelPath,
+        targetRelPath: path.normalize(targetRelPath),
+        content: Buffer.from(content, 'utf-8'),
+        source: from ? `targets/${key}#${from.source}` : `targets/${key}`,
+      });
 
-  // 5. Apply changes
-  if (options.dryRun) {
-    logger.log('\nDry Run Results:');
-    creations.forEach((f) => logger.log(chalk.green(`  + Create: ${f.path}`)));
-    updates.forEach((f) => logger.log(chalk.blue(`  ~ Update: ${f.path}`)));
-    newFiles.forEach((f) => logger.log(chalk.yellow(`  ? Create: ${f.path}`)));
-    skips.forEach((f) => logger.log(chalk.gray(`  - Skip: ${f.path} (${f.reason})`)));
-  } else {
-    const criticalFailures = [];
-    const optionalFailures = [];
-    const recordFailure = (bucket, filePath, error) => {
-      bucket.push({ path: filePath, message: error?.message || 'Check file permissions.' });
-    };
-
-    // Write creations
-    for (const f of creations) {
-      const outputPath = path.join(projectRoot, f.path);
-      try {
-        fse.outputFileSync(outputPath, f.content);
-        manifest.files[f.path] = f.checksum;
-        logger.log(chalk.green(`  Created: ${f.path}`));
-      } catch (error) {
-        recordFailure(criticalFailures, f.path, error);
-      }
+    const scoped = target.scopedRuleFile ? rules.filter(({ rule }) => rule.globs.length > 0) : [];
+    for (const { name, template, rule } of scoped) {
+      const applyTo = rule.globs.join(',');
+      add(
+        target.scopedRuleFile.replace('{name}', name),
+        `---\napplyTo: ${JSON.stringify(applyTo)}\n---\n\n${rule.body}\n`,
+        template
+      );
     }
-    // Write updates
-    for (const f of updates) {
-      const outputPath = path.join(projectRoot, f.path);
-      try {
-        fse.outputFileSync(outputPath, f.content);
-        manifest.files[f.path] = f.checksum;
-        logger.log(chalk.blue(`  Updated: ${f.path}`));
-      } catch (error) {
-        recordFailure(criticalFailures, f.path, error);
-      }
+    if (target.rulesFile) {
+      add(
+        target.rulesFile,
+        renderCombinedRules(
+          rules.filter((r) => !scoped.includes(r)),
+          vars
+        )
+      );
     }
-    // Write .new files
-    for (const f of newFiles) {
-      const outputPath = path.join(projectRoot, f.path);
-      try {
-        fse.outputFileSync(outputPath, f.content);
-        logger.log(chalk.yellow(`  Created: ${f.path}`));
-      } catch (error) {
-        recordFailure(criticalFailures, f.path, error);
+    if (target.ruleFile) {
+      for (const { name, template, rule } of rules) {
+        const paths = rule.globs.map((glob) => `  - ${JSON.stringify(glob)}`);
+        const frontmatter = paths.length > 0 ? `---\npaths:\n${paths.join('\n')}\n---\n\n` : '';
+        add(target.ruleFile.replace('{name}', name), `${frontmatter}${rule.body}\n`, template);
       }
     }
+    for (const { name, template } of commands) {
+      add(target.commandFile.replace('{name}', name), template.content.toString('utf-8'), template);
+    }
+  }
+  return rendered;
+}
+
+// HYDRATE.md steps are numbered after rendering, so steps dropped for missing components
+// leave no gaps
+function renumberSteps(text) {
+  let step = 0;
+  return text.replace(/^### \d+\. /gm, () => `### ${++step}. `);
+}
+
+function renderTemplate(cursorDirName, relPath, layer, vars) {
+  let targetRelPath = relPath;
 
-    // Write Manifest
+  // Stack rule packs install next to the other rules
+  if (targetRelPath.startsWith(STACK_RULES_DIR)) {
+    targetRelPath = targetRelPath.replace(STACK_RULES_DIR, path.join('_cursor', 'rules'));
+  }
+  // Rename _cursor to the target cursor directory
+  if (targetRelPath.startsWith('_cursor')) {
+    targetRelPath = targetRelPath.replace('_cursor', cursorDirName);
+  }
+  // Rename file-doc-map.template.json
+  if (targetRelPath.includes('file-doc-map.template.json')) {
+    targetRelPath = targetRelPath.replace('file-doc-map.template.json', 'file-doc-map.json');
+  }
+
+  // Checksums are taken on this rendered output, so every install variant tracks cleanly
+  let content = fs.readFileSync(path.join(layer.dir, relPath));
+  if (!content.includes(0)) {
     try {
-      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+      content = Buffer.from(interpolateTemplate(content.toString('utf-8'), vars), 'utf-8');
     } catch (error) {
-      recordFailure(criticalFailures, path.relative(projectRoot, manifestPath), error);
+      throw new Error(`Template syntax error in ${relPath}: ${error.message}`);
     }
+  }
 
-    // Update .gitignore
-    if (options.gitignore) {
-      const gitignorePath = path.join(projectRoot, '.gitignore');
-      const ignoreEntries = [`${cursorDirName}/HYDRATE.md`, 'docs/hydration-prompt.md'];
-      try {
-        if (fs.existsSync(gitignorePath)) {
-          const content = fs.readFileSync(gitignorePath, 'utf-8');
-          const missingEntries = ignoreEntries.filter((entry) => !content.includes(entry));
-          if (missingEntries.length > 0) {
-            fs.appendFileSync(gitignorePath, `\n${missingEntries.join('\n')}\n`);
-            logger.log(chalk.gray('  Updated .gitignore'));
-          }
-        } else {
-          fs.writeFileSync(gitignorePath, `${ignoreEntries.join('\n')}\n`);
-          logger.log(chalk.green('  Created .gitignore'));
-        }
-      } catch (error) {
-        recordFailure(optionalFailures, path.relative(projectRoot, gitignorePath), error);
-      }
-    }
+  if (path.basename(relPath) === 'HYDRATE.md' && !content.includes(0)) {
+    content = Buffer.from(renumberSteps(content.toString('utf-8')), 'utf-8');
+  }
 
-    // Add scripts to package.json
-    if (!options.zeroConfig) {
-      const pkgPath = path.join(projectRoot, 'package.json');
-      if (fs.existsSync(pkgPath)) {
-        try {
-          const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-          pkg.scripts = pkg.scripts || {};
-
-          const newScripts = {
-            'ai-kit:verify': 'node scripts/hydrate-verify.js',
-            'docs:update': 'node scripts/docs-update/generate-context.js',
-            'docs:check': 'node scripts/docs-update/check-markers.js',
-            'docs:check:ci': 'node scripts/docs-update/check-markers.js --ci',
-            'docs:verify-inline': 'node scripts/docs-update/verify-inline.js',
-          };
-
-          let scriptsAdded = false;
-          for (const [key, val] of Object.entries(newScripts)) {
-            if (!pkg.scripts[key]) {
-              pkg.scripts[key] = val;
-              scriptsAdded = true;
-            } else if (pkg.scripts[key] !== val) {
-              logger.warn(chalk.yellow(`  Skipping script "${key}": already exists`));
-            }
-          }
+  // Overlay files record which template source they came from
+  const source = layer.name ? `${layer.name}#${relPath.replace(/\\/g, '/')}` : relPath;
+  return { relPath, targetRelPath, content, source };
+}
 
-          if (scriptsAdded) {
-            fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2));
-            logger.log(chalk.gray('  Updated package.json scripts'));
-          }
-        } catch (error) {
-          recordFailure(optionalFailures, path.relative(projectRoot, pkgPath), error);
-        }
-      }
-    }
+function getGitignoreEntries(cursorDirName) {
+  return [`${cursorDirName}/HYDRATE.md`, HYDRATION_PROMPT_FILE, `${BACKUPS_DIR}/`];
+}
 
-    if (criticalFailures.length > 0) {
-      logger.error(chalk.red('\n❌ Some required files could not be written:'));
-      criticalFailures.forEach((failure) => {
-        logger.error(chalk.red(`- ${failure.path}: ${failure.message}`));
-      });
-      logger.error(
-        chalk.gray(
-          `\n💡 If ${cursorDirName} is locked, retry with --cursor-dir <dir> or AI_KIT_CURSOR_DIR.`
-        )
-      );
-      process.exit(1);
-    }
+// AI Kit's ignore entries live between these markers so upgrades and uninstall touch only them
+const IGNORE_BLOCK_START = '# >>> ai-kit';
+const IGNORE_BLOCK_END = '# <<< ai-kit';
+const IGNORE_BLOCK_NOTE =
+  '# Managed by create-ai-kit. Lines in this block are replaced on upgrade.';
 
-    if (optionalFailures.length > 0) {
-      logger.warn(chalk.yellow('\n⚠️  Optional files could not be written:'));
-      optionalFailures.forEach((failure) => {
-        logger.warn(chalk.yellow(`- ${failure.path}: ${failure.message}`));
-      });
-      logger.warn(chalk.gray('   You can update these files manually.'));
-    }
+function splitIgnoreLines(content) {
+  return content.length > 0 ? content.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+}
 
-    // Success Message & Clipboard
-    logger.log(chalk.green('\n✅ AI Kit scaffolded successfully!'));
+function findIgnoreBlock(lines) {
+  const start = lines.findIndex((line) => line.trim() === IGNORE_BLOCK_START);
+  if (start === -1) {
+    return null;
+  }
+  const end = lines.findIndex((line, index) => index > start && line.trim() === IGNORE_BLOCK_END);
+  return end === -1 ? null : { start, end };
+}
 
-    // Project detection
-    const detectedProjects = detectProject(projectRoot);
-    if (detectedProjects.length > 0) {
-      const labels = detectedProjects.map((p) => p.label).join(', ');
-      logger.log(chalk.blue(`\n📦 Detected: ${labels}`));
+// Drop trailing blank lines and squeeze runs of blank lines left behind by a removed block
+function tidyIgnoreLines(lines) {
+  const tidy = lines.filter(
+    (line, index) => line.trim() !== '' || index === 0 || lines[index - 1].trim() !== ''
+  );
+  while (tidy.length > 0 && tidy[tidy.length - 1].trim() === '') {
+    tidy.pop();
+  }
+  return tidy;
+}
 
-      // Show relevant hints
-      const hints = detectedProjects.flatMap((p) => {
-        if (p.key === 'nextjs') {
-          const router = detectNextRouter(projectRoot);
-          const candidate = router ? p.hintCandidates?.[router] : null;
-          return candidate ? [formatHint(cursorRulesDir, candidate)] : [];
-        }
-        return p.hintCandidate ? [formatHint(cursorRulesDir, p.hintCandidate)] : [];
-      });
-      if (hints.length > 0 && !isCompact) {
+// Replace the managed block in place, or append one. Loose lines matching `legacyEntries`
+// (written by versions before the block existed) move into it. Returns null when unchanged.
+function upsertIgnoreBlock(content, entries, legacyEntries = entries) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = splitIgnoreLines(content);
+  const block = [IGNORE_BLOCK_START, IGNORE_BLOCK_NOTE, ...entries, IGNORE_BLOCK_END];
+  const range = findIgnoreBlock(lines);
+  let next;
+  if (range) {
+    next = [...lines.slice(0, range.start), ...block, ...lines.slice(range.end + 1)];
+  } else {
+    const kept = tidyIgnoreLines(lines.filter((line) => !legacyEntries.includes(line.trim())));
+    next = kept.length > 0 ? [...kept, '', ...block] : block;
+  }
+  const nextContent = `${next.join(eol)}${eol}`;
+  return nextContent === content ? null : nextContent;
+}
+
+// Remove the managed block and any loose legacy lines. Returns null when nothing matched.
+function removeIgnoreBlock(content, legacyEntries = []) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  let lines = splitIgnoreLines(content);
+  const range = findIgnoreBlock(lines);
+  if (range) {
+    // The blank line upsertIgnoreBlock put in front of the block goes with it
+    const start =
+      range.start > 0 && lines[range.start - 1].trim() === '' ? range.start - 1 : range.start;
+    lines = [...lines.slice(0, start), ...lines.slice(range.end + 1)];
+  }
+  const kept = lines.filter((line) => !legacyEntries.includes(line.trim()));
+  if (!range && kept.length === lines.length) {
+    return null;
+  }
+  const tidy = tidyIgnoreLines(kept);
+  return tidy.length > 0 ? `${tidy.join(eol)}${eol}` : '';
+}
+
+// Locate .git/info/exclude for the repository around projectRoot. Its patterns are relative
+// to the repository root, so `prefix` anchors AI Kit's entries back to projectRoot.
+function resolveGitExclude(projectRoot) {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel', '--git-path', 'info/exclude'], {
+    cwd: projectRoot,
+    encoding: 'utf-8',
+  });
+  if (result.status !== 0) {
+    throw new Error('--git-exclude needs a git repository (run `git init` first).');
+  }
+  const [topLevel, excludePath] = result.stdout.trim().split(/\r?\n/);
+  const prefix = path
+    .relative(fs.realpathSync(topLevel), fs.realpathSync(projectRoot))
+    .replace(/\\/g, '/');
+  return {
+    file: path.relative(projectRoot, path.resolve(projectRoot, excludePath)).replace(/\\/g, '/'),
+    prefix: prefix ? `${prefix}/` : '',
+  };
+}
+
+// Work out the ignore file changes without writing them. The block goes to .gitignore, or to
+// .git/info/exclude with `gitExclude`; a block left in the other file by an earlier install
+// is removed. Returns { file, action, entries, content, cleanups } or null when unchanged.
+function planGitignoreUpdate(
+  projectRoot,
+  cursorDirName,
+  { gitExclude = false, wasGitExclude = false } = {}
+) {
+  const legacyEntries = getGitignoreEntries(cursorDirName);
+  const target = gitExclude ? resolveGitExclude(projectRoot) : { file: '.gitignore', prefix: '' };
+  const entries = legacyEntries.map((entry) => `${target.prefix}${entry}`);
+  const targetPath = path.join(projectRoot, target.file);
+  const exists = fs.existsSync(targetPath);
+  const content = upsertIgnoreBlock(
+    exists ? fs.readFileSync(targetPath, 'utf-8') : '',
+    entries,
+    gitExclude ? [] : legacyEntries
+  );
+  const cleanups = [];
+  let staleFile = gitExclude ? '.gitignore' : null;
+  if (wasGitExclude && !gitExclude) {
+    try {
+      staleFile = resolveGitExclude(projectRoot).file;
+    } catch {
+      // No repository any more, so there is no exclude file to clean up
+    }
+  }
+  const stalePath = staleFile && path.join(projectRoot, staleFile);
+  if (stalePath && fs.existsSync(stalePath)) {
+    const stale = removeIgnoreBlock(
+      fs.readFileSync(stalePath, 'utf-8'),
+      staleFile === '.gitignore' ? legacyEntries : []
+    );
+    if (stale !== null) {
+      cleanups.push({ file: staleFile, content: stale });
+    }
+  }
+  if (content === null && cleanups.length === 0) {
+    return null;
+  }
+  return {
+    file: target.file,
+    action: content === null ? 'unchanged' : exists ? 'update' : 'create',
+    entries,
+    content,
+    cleanups,
+  };
+}
+
+// Work out which AI Kit scripts package.json would gain, and which clash with existing ones
+// `tracked` holds the values AI Kit wrote last time: those are upgraded or, when no longer
+// wanted, removed. Anything else that differs belongs to the user and is left alone.
+// `devDependencies` are added unless the project already depends on them.
+function planScriptUpdate(pkgPath, scripts = AI_KIT_SCRIPTS, tracked = null, devDependencies = {}) {
+  const text = fs.readFileSync(pkgPath, 'utf-8');
+  const pkgJson = JSON.parse(text);
+  pkgJson.scripts = pkgJson.scripts || {};
+  const isOurs = (name, value) =>
+    tracked ? tracked[name] === value : AI_KIT_SCRIPT_VALUE_PATTERN.test(value);
+  const added = [];
+  const updated = [];
+  const removed = [];
+  const skipped = [];
+  const nextTracked = {};
+  for (const [key, val] of Object.entries(scripts)) {
+    const current = pkgJson.scripts[key];
+    if (!current) {
+      pkgJson.scripts[key] = val;
+      added.push(key);
+    } else if (current !== val && isOurs(key, current)) {
+      pkgJson.scripts[key] = val;
+      updated.push(key);
+    } else if (current !== val) {
+      skipped.push({ script: key, reason: 'already exists' });
+      continue;
+    }
+    nextTracked[key] = val;
+  }
+  for (const [key, val] of Object.entries(tracked || {})) {
+    if (!Object.prototype.hasOwnProperty.call(scripts, key) && pkgJson.scripts[key] === val) {
+      delete pkgJson.scripts[key];
+      removed.push(key);
+    }
+  }
+  const addedDependencies = {};
+  for (const [name, range] of Object.entries(devDependencies)) {
+    if (!pkgJson.dependencies?.[name] && !pkgJson.devDependencies?.[name]) {
+      pkgJson.devDependencies = { ...pkgJson.devDependencies, [name]: range };
+      addedDependencies[name] = range;
+    }
+  }
+  const changed =
+    added.length + updated.length + removed.length + Object.keys(addedDependencies).length > 0;
+  return {
+    added,
+    updated,
+    removed,
+    skipped,
+    devDependencies: addedDependencies,
+    tracked: nextTracked,
+    content: changed ? stringifyJson(pkgJson, detectJsonFormat(text)) : null,
+  };
+}
+
+// docs/hydration-prompt.md: the HYDRATE.md text for when the clipboard copy is unavailable
+function buildHydrationPrompt(cursorDirName, hydrateContent) {
+  return [
+    '# Hydration Prompt (Generated)',
+    '',
+    'This file is generated by create-ai-kit.',
+    `Source of truth: ${cursorDirName}/HYDRATE.md.`,
+    'Use this if your clipboard is empty.',
+    'Not part of the docs-update workflow.',
+    '',
+    '---',
+    '',
+    hydrateContent.trimEnd(),
+    '',
+  ].join('\n');
+}
+
+function resolveHydrationPromptPath(projectRoot, cursorDirName) {
+  const preferred = path.join(projectRoot, HYDRATION_PROMPT_FILE);
+  const fallback = path.join(projectRoot, cursorDirName, 'HYDRATE.md');
+  if (fs.existsSync(preferred)) {
+    return preferred;
+  }
+  return fallback;
+}
+
+// Pre-tokenizer style pieces: words, numbers, non-ASCII runs, punctuation runs, whitespace
+const TOKEN_PIECE_PATTERN = /[A-Za-z]+|\d+|[^\x00-\x7F]+|[^\sA-Za-z\d\u{80}-\u{10FFFF}]+|\s+/gu;
+
+// Rough BPE token count without a tokenizer dependency. Short English words are one token and
+// long ones split every ~5 letters; digits go in threes, punctuation in pairs, other scripts
+// and emoji about one token per character. A leading single space rides on the next word.
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(TOKEN_PIECE_PATTERN)) {
+    if (/^[A-Za-z]+$/.test(piece)) {
+      tokens += piece.length <= 6 ? 1 : Math.ceil(piece.length / 5);
+    } else if (/^\d+$/.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (/^\s+$/.test(piece)) {
+      tokens += piece === ' ' ? 0 : 1;
+    } else if (/^[\x00-\x7F]+$/.test(piece)) {
+      tokens += Math.ceil(piece.length / 2);
+    } else {
+      tokens += [...piece].length;
+    }
+  }
+  return tokens;
+}
+
+// Headings with the step number dropped, so budgets survive renumbered HYDRATE.md steps
+function normalizeSectionHeading(heading) {
+  return heading
+    .trim()
+    .replace(/^\d+\.\s*/, '')
+    .toLowerCase();
+}
+
+// Split markdown by heading. Each section runs to the next heading of the same or a higher
+// level, so a section's size includes its subsections. Headings in code fences are ignored.
+function splitMarkdownSections(content) {
+  const lines = content.split('\n');
+  const headings = [];
+  let fence = null;
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      fence = fence === fenceMatch[1] ? null : fence || fenceMatch[1];
+      return;
+    }
+    const match = !fence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      headings.push({ heading: match[2], level: match[1].length, start: index });
+    }
+  });
+  const sections = headings.map((h, i) => {
+    const next = headings.slice(i + 1).find((other) => other.level <= h.level);
+    return { ...h, end: next ? next.start : lines.length };
+  });
+  if (headings.length === 0 || headings[0].start > 0) {
+    sections.unshift({
+      heading: '(before first heading)',
+      level: 0,
+      start: 0,
+      end: headings[0]?.start ?? lines.length,
+    });
+  }
+  return sections.map(({ heading, level, start, end }) => {
+    const text = lines.slice(start, end).join('\n');
+    return { heading, level, lines: end - start, chars: text.length, tokens: estimateTokens(text) };
+  });
+}
+
+function lintPromptContent(
+  content,
+  { maxLines, maxChars, maxRepeatedLines, maxTokens, sectionBudgets = {} }
+) {
+  const lines = content.split('\n');
+  const trimmedLines = lines.map((line) => line.trim()).filter(Boolean);
+  const lineCounts = new Map();
+
+  for (const line of trimmedLines) {
+    lineCounts.set(line, (lineCounts.get(line) || 0) + 1);
+  }
+
+  const repeatedLines = [...lineCounts.entries()]
+    .filter(([, count]) => count >= maxRepeatedLines)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 8);
+
+  const tokens = estimateTokens(content);
+  const budgets = new Map(
+    Object.entries(sectionBudgets).map(([heading, budget]) => [
+      normalizeSectionHeading(heading),
+      budget,
+    ])
+  );
+  const sections = splitMarkdownSections(content).map((section) => ({
+    ...section,
+    budget: budgets.get(normalizeSectionHeading(section.heading)) ?? null,
+  }));
+
+  const warnings = [];
+  if (lines.length > maxLines) {
+    warnings.push(
+      `Too many lines: ${lines.length} (max ${maxLines}). Trim the prompt to keep it focused.`
+    );
+  }
+  if (content.length > maxChars) {
+    warnings.push(
+      `Too many characters: ${content.length} (max ${maxChars}). Trim repeated sections.`
+    );
+  }
+  if (tokens > maxTokens) {
+    // The whole-document heading would always top the list, so only compare real subsections
+    const largest = sections
+      .filter((section) => section.tokens < tokens)
+      .sort((a, b) => b.tokens - a.tokens)
+      .slice(0, 3)
+      .map((section) => `${section.heading} (~${section.tokens})`);
+    warnings.push(
+      `Too many tokens: ~${tokens} (max ${maxTokens}).` +
+        (largest.length > 0 ? ` Largest sections: ${largest.join(', ')}.` : '')
+    );
+  }
+  sections
+    .filter((section) => section.budget !== null && section.tokens > section.budget)
+    .forEach((section) => {
+      warnings.push(
+        `Section "${section.heading}" is ~${section.tokens} tokens (budget ${section.budget}).`
+      );
+    });
+  if (repeatedLines.length > 0) {
+    const repeatedSummary = repeatedLines
+      .map(([line, count]) => `"${line.slice(0, 72)}"${count > 1 ? ` ×${count}` : ''}`)
+      .join('; ');
+    warnings.push(`Repeated lines detected: ${repeatedSummary}`);
+  }
+
+  // Not a failure: a budget can name a step that this install left out
+  const unmatchedBudgets = [...budgets.keys()].filter(
+    (heading) => !sections.some((section) => normalizeSectionHeading(section.heading) === heading)
+  );
+
+  return { warnings, tokens, sections, unmatchedBudgets };
+}
+
+function isBinaryContent(content) {
+  return Buffer.isBuffer(content) && content.includes(0);
+}
+
+// Line endings, trailing whitespace and the number of final newlines never count as an edit
+function normalizeText(content) {
+  const text = content
+    .toString('utf-8')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '');
+  return text.length > 0 ? `${text.replace(/\n+$/, '')}\n` : text;
+}
+
+// Checksum of the normalized text, so a CRLF checkout hashes like the template it came from
+function calculateChecksum(content) {
+  const normalized = isBinaryContent(content) ? content : normalizeText(content);
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Entries written before normalization hashed the raw bytes
+function calculateRawChecksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// With `ignoreFormatting`, indentation and runs of blank lines are ignored too, so a formatter
+// pass does not look like a user edit. Spaces inside a line still count: `a b` is not `ab`.
+function calculateFormatChecksum(content) {
+  const normalized = isBinaryContent(content)
+    ? content
+    : normalizeText(content)
+        .replace(/^[ \t]+/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^\n+/, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Same comparison as entryMatches, between two contents
+function contentMatches(a, b, { ignoreFormatting = false } = {}) {
+  if (calculateChecksum(a) === calculateChecksum(b)) {
+    return true;
+  }
+  return ignoreFormatting && calculateFormatChecksum(a) === calculateFormatChecksum(b);
+}
+
+// v1 manifests stored MD5 checksums
+function calculateLegacyChecksum(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function createManifest(installOptions = {}) {
+  return {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    version: pkg.version,
+    options: installOptions,
+    files: {},
+    // package.json scripts as AI Kit wrote them, so upgrades can tell them from user edits
+    scripts: {},
+    // devDependencies AI Kit added (the runtime CLI), so uninstall can take them out again
+    devDependencies: {},
+    // docs/hydration-prompt.md as generated, so uninstall leaves an edited copy alone
+    hydrationPrompt: null,
+  };
+}
+
+// Provenance is kept from the previous entry when the installed content did not change
+function createManifestEntry(content, source, { base, previous } = {}) {
+  const hash = calculateChecksum(content);
+  const unchanged = previous?.hash === hash;
+  const entry = {
+    hash,
+    formatHash: calculateFormatChecksum(content),
+    source: source || previous?.source || null,
+    cliVersion: unchanged ? previous.cliVersion : pkg.version,
+    installedAt: unchanged ? previous.installedAt : new Date().toISOString(),
+  };
+  const baseContent = base !== undefined ? base : previous?.base;
+  if (typeof baseContent === 'string') {
+    entry.base = baseContent;
+  }
+  return entry;
+}
+
+function entryMatches(entry, content, { ignoreFormatting = false } = {}) {
+  if (!entry) {
+    return false;
+  }
+  if (ignoreFormatting && entry.formatHash === calculateFormatChecksum(content)) {
+    return true;
+  }
+  if (entry.hash) {
+    return (
+      entry.hash === calculateChecksum(content) || entry.hash === calculateRawChecksum(content)
+    );
+  }
+  return entry.md5 === calculateLegacyChecksum(content);
+}
+
+// .gitattributes `eol` settings as [{ isMatch, eol }]; `-text` and `binary` keep files as shipped
+function readEolAttributes(projectRoot) {
+  const attributesPath = path.join(projectRoot, '.gitattributes');
+  if (!fs.existsSync(attributesPath)) {
+    return [];
+  }
+  const rules = [];
+  for (const line of fs.readFileSync(attributesPath, 'utf-8').split(/\r?\n/)) {
+    const [pattern, ...attributes] = line.trim().split(/\s+/);
+    if (!pattern || pattern.startsWith('#')) {
+      continue;
+    }
+    let eol = null;
+    for (const attribute of attributes) {
+      if (attribute === 'eol=crlf' || attribute === 'eol=lf') {
+        eol = attribute.slice('eol='.length);
+      } else if (attribute === '-text' || attribute === 'binary') {
+        eol = 'lf';
+      }
+    }
+    if (eol) {
+      // Like git: patterns without a slash match the file name at any depth
+      const anchored = pattern.includes('/');
+      rules.push({
+        isMatch: picomatch(anchored ? pattern.replace(/^\//, '') : pattern, {
+          dot: true,
+          basename: !anchored,
+        }),
+        eol,
+      });
+    }
+  }
+  return rules;
+}
+
+// Line-ending style of the text files already in the project root (null when none say)
+function detectProjectLineEnding(projectRoot) {
+  if (!fs.existsSync(projectRoot)) {
+    return null;
+  }
+  let crlf = 0;
+  let lf = 0;
+  for (const entry of fs.readdirSync(projectRoot, { withFileTypes: true })) {
+    if (
+      !entry.isFile() ||
+      !/^(\.gitignore|[^.].*\.(md|mdc|json|js|ts|txt|ya?ml|toml))$/.test(entry.name)
+    ) {
+      continue;
+    }
+    const content = fs.readFileSync(path.join(projectRoot, entry.name));
+    if (isBinaryContent(content) || !content.includes(10)) {
+      continue;
+    }
+    if (content.includes('\r\n')) {
+      crlf++;
+    } else {
+      lf++;
+    }
+  }
+  if (crlf === 0 && lf === 0) {
+    return null;
+  }
+  return crlf > lf ? 'crlf' : 'lf';
+}
+
+// Resolve the line ending for each installed file: .gitattributes first (last match wins),
+// then the style of the project's existing files, then the templates' own LF
+function createLineEndingResolver(projectRoot) {
+  const rules = readEolAttributes(projectRoot);
+  const fallback = detectProjectLineEnding(projectRoot) || 'lf';
+  return (relPath) => {
+    const normalized = relPath.replace(/\\/g, '/');
+    const rule = [...rules].reverse().find((r) => r.isMatch(normalized));
+    return rule ? rule.eol : fallback;
+  };
+}
+
+function withLineEnding(content, eol) {
+  if (isBinaryContent(content)) {
+    return content;
+  }
+  const text = content.toString('utf-8').replace(/\r\n/g, '\n');
+  return Buffer.from(eol === 'crlf' ? text.replace(/\n/g, '\r\n') : text, 'utf-8');
+}
+
+// Map an installed path back to the template it came from
+function templateSourceFor(targetRelPath, cursorDirName) {
+  let source = targetRelPath.replace(/\\/g, '/');
+  if (source.startsWith(`${cursorDirName}/`)) {
+    source = `_cursor${source.slice(cursorDirName.length)}`;
+  }
+  source = source.replace(/file-doc-map\.json$/, 'file-doc-map.template.json');
+  return fs.existsSync(path.join(TEMPLATES_DIR, source)) ? source : null;
+}
+
+// v1: `{ version, files: { path: md5 }, base?: { path: content } }`
+function migrateManifest(manifest, projectRoot) {
+  if (manifest.schemaVersion === MANIFEST_SCHEMA_VERSION) {
+    return {
+      ...manifest,
+      options: manifest.options || {},
+      files: manifest.files || {},
+      scripts: manifest.scripts || {},
+      devDependencies: manifest.devDependencies || {},
+      hydrationPrompt: manifest.hydrationPrompt || null,
+    };
+  }
+
+  const cursorDirName = resolveCursorDirName(projectRoot, {}, { dryRun: true });
+  const files = {};
+  for (const [relPath, md5] of Object.entries(manifest.files || {})) {
+    const filePath = path.join(projectRoot, relPath);
+    const base = manifest.base?.[relPath];
+    // Upgrade to SHA-256 when we still have the exact content the MD5 was taken from
+    const installed = [
+      fs.existsSync(filePath) ? fs.readFileSync(filePath) : null,
+      typeof base === 'string' ? Buffer.from(base, 'utf-8') : null,
+    ].find((content) => content && calculateLegacyChecksum(content) === md5);
+    files[relPath] = {
+      ...(installed ? { hash: calculateChecksum(installed) } : { md5 }),
+      source: templateSourceFor(relPath, cursorDirName),
+      cliVersion: manifest.version || null,
+      installedAt: null,
+      ...(typeof base === 'string' ? { base } : {}),
+    };
+  }
+
+  return {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    version: manifest.version || null,
+    options: {
+      cursorDir: cursorDirName,
+      minimal: !Object.keys(files).some((relPath) => relPath.startsWith('scripts')),
+    },
+    files,
+    scripts: {},
+    devDependencies: {},
+    hydrationPrompt: null,
+  };
+}
+
+function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  return migrateManifest(manifest || {}, path.dirname(manifestPath));
+}
+
+function writeManifest(manifestPath, manifest) {
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// Map each line of `a` to its matching line in `b` using a longest common subsequence
+function matchLines(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+// Line-level three-way merge (diff3). Overlapping changes get git-style conflict markers.
+function mergeLines(baseContent, oursContent, theirsContent) {
+  const base = baseContent.split('\n');
+  const ours = oursContent.split('\n');
+  const theirs = theirsContent.split('\n');
+  const oursMatches = matchLines(base, ours);
+  const theirsMatches = matchLines(base, theirs);
+
+  const output = [];
+  let conflicts = 0;
+  let o = 0;
+  let a = 0;
+  let b = 0;
+
+  while (o < base.length || a < ours.length || b < theirs.length) {
+    // Stable line: unchanged on both sides
+    if (o < base.length && oursMatches[o] === a && theirsMatches[o] === b) {
+      output.push(base[o]);
+      o++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // Find the next base line both sides kept, then resolve the chunk before it
+    let nextO = o;
+    while (nextO < base.length && (oursMatches[nextO] < 0 || theirsMatches[nextO] < 0)) {
+      nextO++;
+    }
+    const nextA = nextO < base.length ? oursMatches[nextO] : ours.length;
+    const nextB = nextO < base.length ? theirsMatches[nextO] : theirs.length;
+
+    const baseChunk = base.slice(o, nextO);
+    const oursChunk = ours.slice(a, nextA);
+    const theirsChunk = theirs.slice(b, nextB);
+
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(
+        '<<<<<<< yours',
+        ...oursChunk,
+        '=======',
+        ...theirsChunk,
+        `>>>>>>> ai-kit ${pkg.version}`
+      );
+    }
+
+    o = nextO;
+    a = nextA;
+    b = nextB;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
+
+function splitLines(content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Line operations turning `a` into `b`: ' ' keep, '-' remove, '+' add
+function diffLines(a, b) {
+  const matches = matchLines(a, b);
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && matches[i] === j) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && matches[i] < 0) {
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    }
+  }
+  return ops;
+}
+
+function formatUnifiedDiff(oldContent, newContent, oldLabel, newLabel, context = 3) {
+  const ops = diffLines(splitLines(oldContent), splitLines(newContent));
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let index = 0;
+
+  while (index < ops.length) {
+    const firstChange = ops.findIndex((op, i) => i >= index && op.type !== ' ');
+    if (firstChange < 0) {
+      break;
+    }
+    const start = Math.max(index, firstChange - context);
+    let end = firstChange;
+    let lastChange = firstChange;
+    while (end < ops.length && end - lastChange <= context * 2) {
+      if (ops[end].type !== ' ') {
+        lastChange = end;
+      }
+      end++;
+    }
+    end = Math.min(ops.length, lastChange + context + 1);
+
+    const before = ops.slice(0, start);
+    const hunk = ops.slice(start, end);
+    const oldStart = before.filter((op) => op.type !== '+').length + 1;
+    const newStart = before.filter((op) => op.type !== '-').length + 1;
+    const oldLength = hunk.filter((op) => op.type !== '+').length;
+    const newLength = hunk.filter((op) => op.type !== '-').length;
+    output.push(`@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`);
+    hunk.forEach((op) => output.push(`${op.type}${op.line}`));
+    index = end;
+  }
+
+  return output;
+}
+
+// Two-way fallback when no base is known: every differing block becomes a conflict
+function markConflicts(oursContent, theirsContent) {
+  const output = [];
+  let ours = [];
+  let theirs = [];
+  const flush = () => {
+    if (ours.length > 0 || theirs.length > 0) {
+      output.push('<<<<<<< yours', ...ours, '=======', ...theirs, `>>>>>>> ai-kit ${pkg.version}`);
+    }
+    ours = [];
+    theirs = [];
+  };
+  for (const op of diffLines(oursContent.split('\n'), theirsContent.split('\n'))) {
+    if (op.type === ' ') {
+      flush();
+      output.push(op.line);
+    } else if (op.type === '-') {
+      ours.push(op.line);
+    } else {
+      theirs.push(op.line);
+    }
+  }
+  flush();
+  return output.join('\n');
+}
+
+function hasConflictMarkers(content) {
+  return /^<<<<<<< /m.test(content) && /^>>>>>>> /m.test(content);
+}
+
+// Line-based prompts over one readline interface, so piped answers are not lost between
+// questions. Once input ends, every question gets its default.
+function createPrompter(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, output });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  rl.on('line', (line) => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(''));
+  });
+
+  return {
+    ask(msg) {
+      output.write(msg);
+      if (lines.length > 0) {
+        return Promise.resolve(lines.shift().trim());
+      }
+      if (closed) {
+        output.write('\n');
+        return Promise.resolve('');
+      }
+      return new Promise((resolve) => waiting.push((line) => resolve(line.trim())));
+    },
+    async confirm(msg, defaultValue = true) {
+      const answer = (await this.ask(`${msg} ${defaultValue ? '(Y/n)' : '(y/N)'} `)).toLowerCase();
+      return answer ? answer.startsWith('y') : defaultValue;
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+// Helper for free-form prompts
+function ask(msg) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(msg, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+// Helper for confirmation
+async function confirm(msg) {
+  const answer = await ask(msg);
+  return answer.startsWith('y');
+}
+
+// A bare `create-ai-kit` in a terminal asks instead of assuming. AI_KIT_WIZARD=1 forces the
+// wizard (e.g. with piped answers), AI_KIT_WIZARD=0 turns it off.
+// A project config means the team already chose, so it also skips the wizard.
+function shouldRunWizard(argv, configFile) {
+  if (process.env.AI_KIT_WIZARD) {
+    return process.env.AI_KIT_WIZARD === '1';
+  }
+  return (
+    Boolean(process.stdin.isTTY && process.stdout.isTTY) &&
+    !process.env.CI &&
+    !configFile &&
+    !argv.some((arg) => arg.startsWith('-'))
+  );
+}
+
+function parseListAnswer(answer) {
+  return answer
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Ask for the install choices; the answers become runInit options and are saved in the manifest
+async function runWizard(targetDir, options, prompter) {
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  let saved = null;
+  try {
+    saved = readManifest(path.join(projectRoot, MANIFEST_FILE))?.options || null;
+  } catch {
+    // An unreadable manifest is reported by runInit
+  }
+  // The plan is shown and confirmed before anything is written
+  const answers = { ...options, yes: true, confirmPlan: true, prompter };
+
+  console.log(chalk.blue('🧙 AI Kit setup\n'));
+  if (saved) {
+    answers.force = await prompter.confirm(
+      'AI Kit is already installed. Upgrade its files (your edits are merged)?'
+    );
+    if (await prompter.confirm('Reuse the choices from the last install?')) {
+      return answers;
+    }
+  }
+
+  const defaultCursorDir =
+    saved?.cursorDir || resolveCursorDirName(projectRoot, {}, { dryRun: true });
+  const detected = detectProject(projectRoot, getDetectors(projectRoot, defaultCursorDir));
+  answers.stacks = null;
+  if (detected.length > 0) {
+    const labels = detected.map(formatStackLabel);
+    console.log(chalk.gray(`Detected stack: ${labels.join(', ')}`));
+    if (!(await prompter.confirm('Is this right?'))) {
+      const stacks = parseListAnswer(await prompter.ask('Describe your stack (comma-separated): '));
+      answers.stacks = stacks.length > 0 ? stacks : null;
+    }
+  } else {
+    const stacks = parseListAnswer(
+      await prompter.ask('No stack detected. Describe it (comma-separated, Enter to skip): ')
+    );
+    answers.stacks = stacks.length > 0 ? stacks : null;
+  }
+
+  const packages = listWorkspacePackages(projectRoot);
+  const sourceRoots =
+    saved?.sourceRoots ||
+    (packages.length > 0 ? packages.map((p) => `${p.dir}/`) : detectSourceRoots(projectRoot));
+  const rootsAnswer = parseListAnswer(
+    await prompter.ask(`Source roots [${sourceRoots.join(', ')}]: `)
+  );
+  answers.sourceRoots =
+    rootsAnswer.length > 0
+      ? rootsAnswer.map((root) => `${root.replace(/\\/g, '/').replace(/\/+$/, '')}/`)
+      : saved?.sourceRoots || null;
+
+  const cursorDirAnswer = await prompter.ask(`Cursor directory [${defaultCursorDir}]: `);
+  answers.cursorDir = cursorDirAnswer ? normalizeCursorDirName(cursorDirAnswer) : defaultCursorDir;
+
+  console.log(chalk.gray('\nComponents:'));
+  answers.components = [];
+  for (const [key, component] of Object.entries(COMPONENTS)) {
+    const wanted = saved?.components ? saved.components.includes(key) : true;
+    if (await prompter.confirm(`  ${component.label}?`, wanted)) {
+      answers.components.push(key);
+    }
+  }
+
+  answers.gitignore = await prompter.confirm(
+    '\nAdd AI Kit entries to .gitignore?',
+    saved?.gitignore !== false
+  );
+  if (answers.gitignore && fs.existsSync(path.join(projectRoot, '.git'))) {
+    answers.gitExclude = await prompter.confirm(
+      '  Write them to .git/info/exclude instead (not committed)?',
+      saved?.gitExclude === true
+    );
+  }
+  const scripts = Object.keys(getComponentScripts(answers.components));
+  if (scripts.length > 0 && fs.existsSync(path.join(projectRoot, 'package.json'))) {
+    answers.scripts = await prompter.confirm(
+      `Add package.json scripts (${scripts.join(', ')})?`,
+      saved?.scripts !== false
+    );
+  }
+  console.log('');
+  return answers;
+}
+
+async function runInit(targetDir, options) {
+  if (options.ci) {
+    options.yes = true;
+  }
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  const outputMode = getOutputMode(options);
+  const logger = createLogger(outputMode);
+  const minimalInstall = options.minimal || options.zeroConfig;
+  if (options.zeroConfig && !options.minimal) {
+    logger.warn(chalk.yellow('⚠️  --zero-config is deprecated. Use --minimal instead.'));
+  }
+  options.zeroConfig = minimalInstall;
+  const isCompact = outputMode === OUTPUT_MODES.COMPACT;
+  const cursorDirName = resolveCursorDirName(projectRoot, options, { dryRun: options.dryRun });
+  const cursorRulesDir = `${cursorDirName}/rules`;
+
+  // --json: everything below is also recorded here and printed as one document at the end
+  const report = {
+    version: pkg.version,
+    dryRun: Boolean(options.dryRun),
+    projectRoot,
+    cursorDir: cursorDirName,
+    minimal: Boolean(minimalInstall),
+    targets: [DEFAULT_TARGET],
+    creations: [],
+    updates: [],
+    merges: [],
+    conflicts: [],
+    skips: [],
+    packageJson: { added: [], updated: [], removed: [], skipped: [], devDependencies: [] },
+    gitignore: null,
+    backup: null,
+    stacks: [],
+    hints: [],
+    packages: [],
+    failures: [],
+    success: true,
+  };
+  const emitReport = () => {
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    }
+  };
+  let releaseLock = () => {};
+  const failWithReport = (failures, code) => {
+    releaseLock();
+    report.success = false;
+    report.failures.push(...failures);
+    emitReport();
+    throw new AiKitError(failures[0].message, { code, report });
+  };
+
+  logger.log(chalk.blue('🚀 Initializing AI Kit...'));
+  if (options.configFile) {
+    logger.log(chalk.gray(`  Using settings from ${options.configFile}`));
+  }
+  if (cursorDirName !== DEFAULT_CURSOR_DIR && !isCompact) {
+    logger.log(chalk.gray(`  Using cursor directory: ${cursorDirName}`));
+    if (!options.cursorDir && !process.env.AI_KIT_CURSOR_DIR && !options.configFile) {
+      logger.log(chalk.gray('  Auto-selected because .cursor is not writable.'));
+    }
+  }
+
+  if (!fs.existsSync(projectRoot)) {
+    if (options.dryRun) {
+      logger.log(chalk.gray(`  Would create target directory: ${projectRoot}`));
+    } else {
+      fse.ensureDirSync(projectRoot);
+      logger.log(chalk.gray(`  Created target directory: ${projectRoot}`));
+    }
+  }
+
+  if (!options.dryRun) {
+    try {
+      releaseLock = acquireInstallLock(projectRoot);
+    } catch (error) {
+      if (error.code !== 'ELOCKED') {
+        throw error;
+      }
+      logger.error(chalk.red(`❌ ${error.message}`));
+      logger.error(chalk.gray(`   Wait for it to finish, or delete ${LOCK_FILE} if it crashed.`));
+      failWithReport([{ path: LOCK_FILE, message: error.message, critical: true }], 'ELOCKED');
+    }
+  }
+
+  // 0. Check if this is a valid project directory
+  const pkgJsonPath = path.join(projectRoot, 'package.json');
+  if (!fs.existsSync(pkgJsonPath)) {
+    logger.warn(chalk.yellow('\n⚠️  No package.json found in current directory.'));
+    logger.log(chalk.gray('   AI Kit works best in a project root directory.'));
+    logger.log(chalk.gray('   If this is intentional, the scaffolding will continue.\n'));
+    logger.log(chalk.gray('   💡 Run `npm init -y` to create a package.json first.\n'));
+  }
+
+  // 1. Check for collision
+  const cursorDir = path.join(projectRoot, cursorDirName);
+  const manifestPath = path.join(projectRoot, MANIFEST_FILE);
+  const hasCursor = fs.existsSync(cursorDir);
+  const hasManifest = fs.existsSync(manifestPath);
+  const safeUpgradeWithoutManifest = hasCursor && !hasManifest && !options.force;
+
+  if (safeUpgradeWithoutManifest) {
+    logger.warn(chalk.yellow(`⚠️  A ${cursorDirName} folder already exists without a manifest.`));
+    logger.log(chalk.gray('   Proceeding with a safe upgrade (no overwrites).'));
+    logger.log(chalk.gray('   Conflicts will be written as .new files.'));
+  }
+
+  // 2. Load Manifest if exists
+  const manifestBaseline = hasManifest
+    ? (() => {
+        try {
+          return readManifest(manifestPath);
+        } catch (e) {
+          logger.warn(chalk.yellow('⚠️  Could not read existing manifest.'));
+          logger.warn(chalk.gray('   Try deleting .ai-kit-manifest.json and re-running.'));
+          return null;
+        }
+      })()
+    : null;
+  const templateSpecs = getTemplateSpecs(projectRoot, cursorDirName, options);
+  // Choices from the setup wizard stick until the wizard is run again
+  const savedOptions = manifestBaseline?.options || {};
+  let components;
+  try {
+    components =
+      options.components ||
+      resolveComponents(options, savedOptions.components) ||
+      savedOptions.components ||
+      Object.keys(COMPONENTS);
+  } catch (error) {
+    logger.error(chalk.red(`❌ ${error.message}`));
+    failWithReport([{ path: null, message: error.message, critical: true }], 'EOPTION');
+  }
+  // Left unset by the flags, the project config and the wizard: reuse the last answer, else yes
+  const addScripts =
+    options.scripts !== undefined ? options.scripts !== false : savedOptions.scripts !== false;
+  const updateGitignore =
+    options.gitignore !== undefined
+      ? options.gitignore !== false
+      : savedOptions.gitignore !== false;
+  const sourceRoots =
+    options.sourceRoots !== undefined ? options.sourceRoots : savedOptions.sourceRoots || null;
+  const stackLabels = options.stacks !== undefined ? options.stacks : savedOptions.stacks || null;
+  const scriptPrefix = options.scriptPrefix || savedOptions.scriptPrefix || null;
+  const eject =
+    options.eject !== undefined ? Boolean(options.eject) : isEjectedInstall(manifestBaseline);
+  const gitExclude =
+    options.gitExclude !== undefined
+      ? Boolean(options.gitExclude)
+      : Boolean(savedOptions.gitExclude);
+  const ignoreFormatting =
+    options.ignoreFormatting !== undefined
+      ? Boolean(options.ignoreFormatting)
+      : Boolean(savedOptions.ignoreFormatting);
+  const workspaces =
+    options.workspaces !== undefined
+      ? Boolean(options.workspaces)
+      : Boolean(savedOptions.workspaces);
+  const stackRules =
+    options.withStackRules !== undefined
+      ? Boolean(options.withStackRules)
+      : Boolean(savedOptions.stackRules);
+  let targets;
+  try {
+    // Without --target an upgrade keeps rendering the assistants chosen last time
+    targets = resolveTargets(
+      options.target && options.target.length > 0 ? options.target : savedOptions.targets
+    );
+  } catch (error) {
+    logger.error(chalk.red(`❌ ${error.message}`));
+    failWithReport([{ path: null, message: error.message, critical: true }], 'EOPTION');
+  }
+  report.targets = targets;
+  let manifest = createManifest({
+    cursorDir: cursorDirName,
+    minimal: Boolean(minimalInstall),
+    gitignore: updateGitignore,
+    templates: templateSpecs,
+    workspaces,
+    stackRules,
+    targets,
+    components,
+    scripts: addScripts,
+    eject,
+    ...(sourceRoots ? { sourceRoots } : {}),
+    ...(stackLabels ? { stacks: stackLabels } : {}),
+    ...(scriptPrefix ? { scriptPrefix } : {}),
+    ...(gitExclude ? { gitExclude } : {}),
+    ...(ignoreFormatting ? { ignoreFormatting } : {}),
+  });
+  if (manifestBaseline) {
+    const hasExistingFiles = Object.keys(manifestBaseline.files).length > 0;
+    if (options.zeroConfig && hasExistingFiles) {
+      logger.warn(
+        chalk.yellow(
+          '⚠️  Minimal install requested on an existing install. Keeping manifest entries to avoid data loss.'
+        )
+      );
+    }
+    if (!options.zeroConfig || hasExistingFiles) {
+      manifest.files = { ...manifestBaseline.files };
+    }
+    manifest.scripts = { ...manifestBaseline.scripts };
+    manifest.devDependencies = { ...manifestBaseline.devDependencies };
+    manifest.hydrationPrompt = manifestBaseline.hydrationPrompt;
+  }
+
+  // 3. Confirm if destructive
+  if (options.force && !options.yes && !options.dryRun) {
+    if (options.json) {
+      logger.error(chalk.red('❌ --force with --json needs --yes (prompts are disabled).'));
+      failWithReport(
+        [{ path: null, message: '--force with --json needs --yes', critical: true }],
+        'EOPTION'
+      );
+    }
+    const confirmed = await confirm(
+      chalk.yellow(
+        `⚠️  You used --force. This may overwrite files (backups go to ${BACKUPS_DIR}/). Continue? (y/N) `
+      )
+    );
+    if (!confirmed) {
+      console.log('Aborted.');
+      releaseLock();
+      return { ...report, aborted: true };
+    }
+  }
+
+  // 4. Gather files to copy
+  let templates;
+  try {
+    templates = collectTemplates(projectRoot, cursorDirName, {
+      zeroConfig: options.zeroConfig,
+      templates: templateSpecs,
+      workspaces,
+      stackRules,
+      targets,
+      components,
+      sourceRoots,
+      stacks: stackLabels,
+      scriptPrefix,
+      scripts: addScripts,
+      eject,
+    });
+  } catch (error) {
+    logger.error(chalk.red(`❌ ${error.message}`));
+    failWithReport([{ path: null, message: error.message, critical: true }], 'ETEMPLATE');
+  }
+
+  const updates = [];
+  const creations = [];
+  const skips = [];
+  const newFiles = [];
+  const merges = [];
+  const preserveList = [
+    'AGENTS.md',
+    `${cursorRulesDir}/main.mdc`,
+    `${cursorDirName}/HYDRATE.md`, // Should not exist usually, but if it does
+  ];
+
+  const lineEndingFor = createLineEndingResolver(projectRoot);
+  for (const template of templates) {
+    const { source, targetRelPath } = template;
+    const eol = lineEndingFor(targetRelPath);
+    const templateContent = withLineEnding(template.content, eol);
+    const targetPath = path.join(projectRoot, targetRelPath);
+    const lastEntry = manifestBaseline?.files?.[targetRelPath];
+
+    // Check preserve list
+    if (preserveList.some((p) => targetRelPath.endsWith(p)) && fs.existsSync(targetPath)) {
+      skips.push({ path: targetRelPath, reason: 'Preserved' });
+      // Update manifest with CURRENT file checksum to avoid future diffs
+      const currentContent = fs.readFileSync(targetPath);
+      manifest.files[targetRelPath] = createManifestEntry(currentContent, source, {
+        previous: lastEntry,
+      });
+      continue;
+    }
+
+    if (fs.existsSync(targetPath)) {
+      const currentContent = fs.readFileSync(targetPath);
+
+      // If file matches template (ignoring line endings and whitespace), no change needed
+      if (contentMatches(currentContent, templateContent, { ignoreFormatting })) {
+        // Ensure manifest is up to date
+        manifest.files[targetRelPath] = createManifestEntry(templateContent, source, {
+          base: templateContent.toString('utf-8'),
+          previous: lastEntry,
+        });
+        continue;
+      }
+
+      // Check if file was modified by user compared to LAST manifest
+      const hasBaseline = Boolean(lastEntry);
+      const userModified =
+        (hasBaseline && !entryMatches(lastEntry, currentContent, { ignoreFormatting })) ||
+        (!hasBaseline && safeUpgradeWithoutManifest);
+
+      if (options.force || safeUpgradeWithoutManifest) {
+        const baseContent = lastEntry?.base;
+        if (userModified && options.merge !== false && typeof baseContent === 'string') {
+          // User modified file with a known base: three-way merge into the file itself
+          // (on LF text, so a base stored with other line endings still lines up)
+          const toLf = (content) => content.toString('utf-8').replace(/\r\n/g, '\n');
+          const merged = mergeLines(toLf(baseContent), toLf(currentContent), toLf(templateContent));
+          const mergedContent = withLineEnding(merged.content, eol);
+          const { conflicts } = merged;
+          if (mergedContent.equals(currentContent)) {
+            manifest.files[targetRelPath] = createManifestEntry(templateContent, source, {
+              base: templateContent.toString('utf-8'),
+              previous: lastEntry,
+            });
+            continue;
+          }
+          merges.push({
+            path: targetRelPath,
+            content: mergedContent,
+            template: templateContent,
+            source,
+            conflicts,
+          });
+          if (conflicts > 0) {
+            logger.warn(
+              chalk.yellow(
+                `  Conflict: ${targetRelPath} has ${conflicts} conflicting change(s). Adding conflict markers.`
+              )
+            );
+          }
+        } else if (userModified) {
+          // User modified file without a base: create .new
+          newFiles.push({ path: targetRelPath + '.new', content: templateContent });
+          logger.warn(
+            chalk.yellow(`  Conflict: ${targetRelPath} modified by user. Creating .new file.`)
+          );
+        } else {
+          // Safe to update
+          updates.push({ path: targetRelPath, content: templateContent, source });
+        }
+      } else {
+        if (hasBaseline) {
+          // Record current checksum to avoid repeated diffs on future runs
+          manifest.files[targetRelPath] = createManifestEntry(currentContent, source, {
+            previous: lastEntry,
+          });
+        }
+        skips.push({ path: targetRelPath, reason: 'Exists (use --force to overwrite)' });
+        logger.warn(
+          chalk.yellow(`  Skipping existing file: ${targetRelPath} (use --force to overwrite)`)
+        );
+      }
+    } else {
+      creations.push({ path: targetRelPath, content: templateContent, source });
+    }
+  }
+
+  // 5. Plan ignore file and package.json changes
+  const recordFailure = (bucket, filePath, error) => {
+    bucket.push({ path: filePath, message: error?.message || 'Check file permissions.' });
+  };
+  const planFailures = [];
+  let gitignorePlan = null;
+  if (updateGitignore) {
+    try {
+      gitignorePlan = planGitignoreUpdate(projectRoot, cursorDirName, {
+        gitExclude,
+        wasGitExclude: Boolean(savedOptions.gitExclude),
+      });
+    } catch (error) {
+      recordFailure(planFailures, gitExclude ? '.git/info/exclude' : '.gitignore', error);
+    }
+  }
+  let scriptPlan = null;
+  if (!options.zeroConfig && addScripts && fs.existsSync(pkgJsonPath)) {
+    try {
+      // Manifests from before script tracking have no record; fall back to recognizing values
+      const tracked = manifestBaseline?.scripts;
+      const scripts = getComponentScripts(components, scriptPrefix, eject);
+      // Runtime scripts call the create-ai-kit binary, so the project needs it installed
+      const needsRuntime = !eject && Object.keys(scripts).length > 0;
+      scriptPlan = planScriptUpdate(
+        pkgJsonPath,
+        scripts,
+        tracked && Object.keys(tracked).length > 0 ? tracked : null,
+        needsRuntime ? { [pkg.name]: `^${RUNTIME_MIN_VERSION}` } : {}
+      );
+      manifest.scripts = scriptPlan.tracked;
+      Object.assign(manifest.devDependencies, scriptPlan.devDependencies);
+      scriptPlan.skipped.forEach((skip) => {
+        logger.warn(chalk.yellow(`  Skipping script "${skip.script}": ${skip.reason}`));
+      });
+    } catch (error) {
+      recordFailure(planFailures, 'package.json', error);
+    }
+  }
+
+  const detectedProjects = detectProject(projectRoot, getDetectors(projectRoot, cursorDirName));
+  const workspacePackages = listWorkspacePackages(projectRoot);
+  // With --with-stack-rules, hints that now have an installed rule are no longer suggestions
+  const stackRuleTargets = new Set(
+    templates
+      .filter((t) => t.relPath.startsWith(STACK_RULES_DIR))
+      .map((t) => t.targetRelPath.replace(/\\/g, '/'))
+  );
+  const hints = getStackHints(projectRoot, detectedProjects)
+    .filter((hint) => !stackRuleTargets.has(`${cursorRulesDir}/${hint.file}`))
+    .map((hint) => formatHint(cursorRulesDir, hint));
+
+  report.creations = creations.map((f) => f.path);
+  report.updates = updates.map((f) => f.path);
+  report.merges = merges.map((f) => ({ path: f.path, conflicts: f.conflicts }));
+  report.conflicts = [
+    ...newFiles.map((f) => ({
+      path: f.path.slice(0, -'.new'.length),
+      type: 'new-file',
+      file: f.path,
+    })),
+    ...merges
+      .filter((f) => f.conflicts > 0)
+      .map((f) => ({ path: f.path, type: 'markers', count: f.conflicts })),
+  ];
+  report.skips = skips;
+  report.gitignore = gitignorePlan && {
+    file: gitignorePlan.file,
+    action: gitignorePlan.action,
+    entries: gitignorePlan.entries,
+  };
+  report.packageJson = scriptPlan
+    ? {
+        added: scriptPlan.added,
+        updated: scriptPlan.updated,
+        removed: scriptPlan.removed,
+        skipped: scriptPlan.skipped,
+        devDependencies: Object.keys(scriptPlan.devDependencies),
+      }
+    : report.packageJson;
+  report.stacks = detectedProjects.map((p) => ({
+    key: p.key,
+    label: p.label,
+    version: p.version,
+    major: p.major,
+  }));
+  report.packages = workspacePackages;
+  report.hints = hints;
+
+  // 6. Apply changes
+  const printPlan = (title) => {
+    logger.log(title);
+    creations.forEach((f) => logger.log(chalk.green(`  + Create: ${f.path}`)));
+    updates.forEach((f) => logger.log(chalk.blue(`  ~ Update: ${f.path}`)));
+    merges.forEach((f) =>
+      f.conflicts > 0
+        ? logger.log(chalk.yellow(`  ! Merge: ${f.path} (${f.conflicts} conflict(s))`))
+        : logger.log(chalk.blue(`  ~ Merge: ${f.path}`))
+    );
+    newFiles.forEach((f) => logger.log(chalk.yellow(`  ? Create: ${f.path}`)));
+    skips.forEach((f) => logger.log(chalk.gray(`  - Skip: ${f.path} (${f.reason})`)));
+    if (gitignorePlan?.content) {
+      logger.log(
+        chalk.gray(`  ~ Update: ${gitignorePlan.file} (${gitignorePlan.entries.join(', ')})`)
+      );
+    }
+    gitignorePlan?.cleanups.forEach((cleanup) =>
+      logger.log(chalk.gray(`  ~ Update: ${cleanup.file} (remove ai-kit block)`))
+    );
+    if (scriptPlan?.content) {
+      const changes = [
+        ...scriptPlan.added.map((name) => `+${name}`),
+        ...scriptPlan.updated.map((name) => `~${name}`),
+        ...scriptPlan.removed.map((name) => `-${name}`),
+        ...Object.keys(scriptPlan.devDependencies).map((name) => `devDependency ${name}`),
+      ];
+      logger.log(chalk.gray(`  ~ Update: package.json scripts (${changes.join(', ')})`));
+    }
+    planFailures.forEach((failure) => {
+      logger.warn(chalk.yellow(`  Could not read ${failure.path}: ${failure.message}`));
+    });
+  };
+
+  if (options.confirmPlan && !options.dryRun) {
+    printPlan('\nPlan:');
+    if (!(await options.prompter.confirm('\nWrite these changes?'))) {
+      releaseLock();
+      logger.log('Aborted. Nothing was written.');
+      return { ...report, aborted: true };
+    }
+  }
+
+  if (options.dryRun) {
+    printPlan('\nDry Run Results:');
+    report.failures = planFailures.map((failure) => ({ ...failure, critical: false }));
+  } else {
+    const criticalFailures = [];
+    const optionalFailures = [...planFailures];
+    const logLines = [];
+    let rolledBack = false;
+    let unrestored = [];
+    let hydrationPromptStaged = false;
+    let transaction = null;
+
+    try {
+      transaction = createTransaction(projectRoot);
+
+      // Back up files about to be overwritten so `restore` can bring them back
+      const overwritten = [...updates, ...merges];
+      if (overwritten.length > 0) {
+        const backupDir = path.join(BACKUPS_DIR, createBackupId());
+        for (const f of overwritten) {
+          transaction.stage(
+            path.join(backupDir, f.path),
+            fs.readFileSync(path.join(projectRoot, f.path))
+          );
+        }
+        transaction.stage(
+          path.join(backupDir, BACKUP_INDEX_FILE),
+          JSON.stringify(
+            {
+              createdAt: new Date().toISOString(),
+              cliVersion: pkg.version,
+              files: overwritten.map((f) => ({
+                path: f.path,
+                manifestEntry: manifestBaseline?.files?.[f.path] || null,
+              })),
+            },
+            null,
+            2
+          )
+        );
+        report.backup = backupDir;
+        logLines.push({
+          path: backupDir,
+          line: chalk.gray(`  Backed up ${overwritten.length} file(s) to ${backupDir}`),
+        });
+      }
+
+      // Stage creations
+      for (const f of creations) {
+        transaction.stage(f.path, f.content);
+        manifest.files[f.path] = createManifestEntry(f.content, f.source, {
+          base: f.content.toString('utf-8'),
+        });
+        logLines.push({ path: f.path, line: chalk.green(`  Created: ${f.path}`) });
+      }
+      // Stage updates
+      for (const f of updates) {
+        transaction.stage(f.path, f.content);
+        manifest.files[f.path] = createManifestEntry(f.content, f.source, {
+          base: f.content.toString('utf-8'),
+          previous: manifestBaseline?.files?.[f.path],
+        });
+        logLines.push({ path: f.path, line: chalk.blue(`  Updated: ${f.path}`) });
+      }
+      // Stage merges (checksum stays on the template so the file still counts as user-modified)
+      for (const f of merges) {
+        transaction.stage(f.path, f.content);
+        manifest.files[f.path] = createManifestEntry(f.template, f.source, {
+          base: f.template.toString('utf-8'),
+          previous: manifestBaseline?.files?.[f.path],
+        });
+        logLines.push({
+          path: f.path,
+          line:
+            f.conflicts > 0
+              ? chalk.yellow(`  Merged with conflicts: ${f.path}`)
+              : chalk.blue(`  Merged: ${f.path}`),
+        });
+      }
+      // Stage .new files
+      for (const f of newFiles) {
+        transaction.stage(f.path, f.content);
+        logLines.push({ path: f.path, line: chalk.yellow(`  Created: ${f.path}`) });
+      }
+
+      // Stage the ignore block (.gitignore or .git/info/exclude)
+      if (gitignorePlan?.content) {
+        transaction.stage(gitignorePlan.file, gitignorePlan.content, { critical: false });
+        logLines.push({
+          path: gitignorePlan.file,
+          line:
+            gitignorePlan.action === 'create'
+              ? chalk.green(`  Created ${gitignorePlan.file}`)
+              : chalk.gray(`  Updated ${gitignorePlan.file}`),
+        });
+      }
+      for (const cleanup of gitignorePlan?.cleanups || []) {
+        transaction.stage(cleanup.file, cleanup.content, { critical: false });
+        logLines.push({ path: cleanup.file, line: chalk.gray(`  Updated ${cleanup.file}`) });
+      }
+
+      // Stage package.json scripts
+      if (scriptPlan?.content) {
+        transaction.stage('package.json', scriptPlan.content, { critical: false });
+        logLines.push({ path: 'package.json', line: chalk.gray('  Updated package.json scripts') });
+      }
+
+      // Stage the hydration prompt from the HYDRATE.md this install leaves in place
+      const hydrateRelPath = path.join(cursorDirName, 'HYDRATE.md');
+      const hydrateWrite = [...creations, ...updates, ...merges].find(
+        (f) => f.path === hydrateRelPath
+      );
+      const hydrateTarget = path.join(projectRoot, hydrateRelPath);
+      if (hydrateWrite || fs.existsSync(hydrateTarget)) {
+        const hydrateContent = hydrateWrite
+          ? hydrateWrite.content.toString('utf-8')
+          : fs.readFileSync(hydrateTarget, 'utf-8');
+        const promptContent = buildHydrationPrompt(cursorDirName, hydrateContent);
+        transaction.stage(HYDRATION_PROMPT_FILE, promptContent, { critical: false });
+        manifest.hydrationPrompt = { hash: calculateChecksum(promptContent) };
+        hydrationPromptStaged = true;
+      }
+
+      // Stage Manifest last so it only lands together with the files it describes
+      transaction.stage(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+      const result = transaction.commit();
+      rolledBack = result.rolledBack;
+      unrestored = result.unrestored;
+      result.failures.forEach((failure) => {
+        const bucket = failure.critical ? criticalFailures : optionalFailures;
+        bucket.push({ path: failure.path, message: failure.message });
+      });
+    } catch (error) {
+      recordFailure(criticalFailures, TRANSACTION_DIR_PREFIX, error);
+    } finally {
+      transaction?.dispose();
+      releaseLock();
+    }
+
+    if (criticalFailures.length > 0) {
+      logger.error(chalk.red('\n❌ Some required files could not be written:'));
+      criticalFailures.forEach((failure) => {
+        logger.error(chalk.red(`- ${failure.path}: ${failure.message}`));
+      });
+      if (unrestored.length > 0) {
+        logger.error(chalk.red('\n❌ The rollback could not restore:'));
+        unrestored.forEach((item) => {
+          logger.error(chalk.red(`- ${item.path}: ${item.message}`));
+          logger.error(
+            chalk.gray(
+              item.backup
+                ? `   Your original is kept at ${item.backup}. Copy it back over ${item.path}.`
+                : `   This file is new. Delete ${item.path} by hand.`
+            )
+          );
+        });
+        logger.error(chalk.gray('   Every other change was rolled back.'));
+      } else {
+        logger.error(
+          chalk.gray(
+            rolledBack
+              ? '   All changes were rolled back. Your project is unchanged.'
+              : '   Nothing was written. Your project is unchanged.'
+          )
+        );
+      }
+      logger.error(
+        chalk.gray(
+          `\n💡 If ${cursorDirName} is locked, retry with --cursor-dir <dir> or AI_KIT_CURSOR_DIR.`
+        )
+      );
+      report.backup = null;
+      failWithReport(
+        [
+          ...criticalFailures.map((failure) => ({ ...failure, critical: true })),
+          ...unrestored.map((item) => ({
+            path: item.path,
+            message: item.backup
+              ? `Not restored after rollback; original kept at ${item.backup}`
+              : `Not removed after rollback: ${item.message}`,
+            critical: true,
+          })),
+          ...optionalFailures.map((failure) => ({ ...failure, critical: false })),
+        ],
+        'EWRITE'
+      );
+    }
+
+    const failedPaths = new Set(optionalFailures.map((failure) => failure.path));
+    report.failures = optionalFailures.map((failure) => ({ ...failure, critical: false }));
+    if (gitignorePlan && failedPaths.has(gitignorePlan.file)) {
+      report.gitignore = null;
+    }
+    if (failedPaths.has('package.json')) {
+      report.packageJson = {
+        ...report.packageJson,
+        added: [],
+        updated: [],
+        removed: [],
+        devDependencies: [],
+      };
+    }
+    logLines
+      .filter((entry) => !failedPaths.has(entry.path))
+      .forEach((entry) => logger.log(entry.line));
+
+    if (optionalFailures.length > 0) {
+      logger.warn(chalk.yellow('\n⚠️  Optional files could not be written:'));
+      optionalFailures.forEach((failure) => {
+        logger.warn(chalk.yellow(`- ${failure.path}: ${failure.message}`));
+      });
+      logger.warn(chalk.gray('   You can update these files manually.'));
+    }
+
+    // Success Message & Clipboard
+    logger.log(chalk.green('\n✅ AI Kit scaffolded successfully!'));
+
+    // Project detection
+    if (detectedProjects.length > 0) {
+      const labels = detectedProjects.map(formatStackLabel).join(', ');
+      logger.log(chalk.blue(`\n📦 Detected: ${labels}`));
+
+      // Show relevant hints
+      if (hints.length > 0 && !isCompact) {
         logger.log(chalk.gray('\nSuggestions based on your stack:'));
         hints.slice(0, 3).forEach((hint) => {
           logger.log(chalk.gray(`  • ${hint}`));
@@ -714,110 +3155,954 @@ async function runInit(targetDir, options) {
       }
     }
 
-    // Read Hydration prompt, save fallback, and copy to clipboard
+    if (workspacePackages.length > 0) {
+      logger.log(chalk.blue(`\n🗂️  Workspace packages: ${workspacePackages.length}`));
+      if (workspaces) {
+        logger.log(chalk.gray('   Each package got its own AGENTS.md, app-context and config.'));
+      } else {
+        logger.log(chalk.gray('   Re-run with --workspaces to add per-package context files.'));
+      }
+    }
+
+    // Copy the hydration prompt to the clipboard; docs/hydration-prompt.md is the fallback
+    const hydratePath = path.join(projectRoot, cursorDirName, 'HYDRATE.md');
+    if (fs.existsSync(hydratePath)) {
+      const hydrateContent = fs.readFileSync(hydratePath, 'utf-8');
+
+      if (hydrationPromptStaged && !failedPaths.has(HYDRATION_PROMPT_FILE)) {
+        logger.log(chalk.gray('\n📄 Hydration prompt saved to docs/hydration-prompt.md'));
+      }
+
+      if (clipboardy && !options.ci && !options.json) {
+        try {
+          clipboardy.writeSync(hydrateContent);
+          logger.log(chalk.cyan('\n📋 Hydration prompt copied to clipboard!'));
+          logger.log(chalk.gray('   If your clipboard is empty, use docs/hydration-prompt.md.'));
+        } catch {
+          logger.log(chalk.gray('\n📋 Could not copy to clipboard.'));
+          logger.log(chalk.gray('   Use docs/hydration-prompt.md instead.'));
+        }
+      } else if (!options.ci && !options.json) {
+        logger.log(chalk.gray('\n📋 Clipboard not available in this environment.'));
+        logger.log(chalk.gray('   Use docs/hydration-prompt.md instead.'));
+      }
+
+      if (outputMode === OUTPUT_MODES.FULL && options.printPrompt) {
+        logger.log('\n📎 Copyable hydration prompt:');
+        logger.log(chalk.gray('--- HYDRATION PROMPT START ---'));
+        logger.log(hydrateContent.trimEnd());
+        logger.log(chalk.gray('--- HYDRATION PROMPT END ---\n'));
+      } else if (outputMode === OUTPUT_MODES.FULL) {
+        logger.log(chalk.gray('\n📎 Prompt output suppressed (use --print-prompt to show it).'));
+      }
+    }
+
+    if (!options.quiet && !options.ci) {
+      logger.log(
+        chalk.cyan('\n💡 Paste the prompt in Cursor Composer (Cmd+Shift+I) in Plan mode.')
+      );
+      logger.log(chalk.gray('   The agent may ask for confirmation on some changes.'));
+      logger.log(chalk.gray('   Hydration can take a while on large projects.'));
+      logger.log(chalk.gray('   Review hydrated docs after — AI can make mistakes.'));
+      if (!options.zeroConfig && components.includes('verify')) {
+        const packageManager = detectPackageManager(projectRoot);
+        const verifyScript = prefixScriptName('ai-kit:verify', scriptPrefix);
+        if (report.packageJson.devDependencies.length > 0) {
+          logger.log(
+            chalk.gray(`\n   Run \`${packageManager} install\` to add the ${pkg.name} runtime.`)
+          );
+        }
+        logger.log(
+          chalk.gray(`\n   Verify: ${RUN_SCRIPT_COMMANDS[packageManager]} ${verifyScript}`)
+        );
+      }
+      logger.log(
+        chalk.gray('   ESLint: if configured, run npx create-ai-kit eslint-setup (run yourself)')
+      );
+    }
+  }
+
+  emitReport();
+  return report;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function removeStaleTransactions(projectRoot) {
+  for (const entry of fs.readdirSync(projectRoot)) {
+    if (entry.startsWith(TRANSACTION_DIR_PREFIX)) {
+      fse.removeSync(path.join(projectRoot, entry));
+    }
+  }
+}
+
+// One install per project at a time. Locks left by crashed runs are reclaimed.
+function acquireInstallLock(projectRoot) {
+  const lockPath = path.join(projectRoot, LOCK_FILE);
+  try {
+    fs.writeFileSync(
+      lockPath,
+      JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }),
+      { flag: 'wx' }
+    );
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    let holder = null;
+    try {
+      holder = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+    } catch {
+      // Unreadable lock file: treat as stale
+    }
+    if (holder?.pid && isProcessAlive(holder.pid)) {
+      const lockError = new Error(`Another AI Kit install is running (pid ${holder.pid}).`);
+      lockError.code = 'ELOCKED';
+      throw lockError;
+    }
+    fs.unlinkSync(lockPath);
+    removeStaleTransactions(projectRoot);
+    return acquireInstallLock(projectRoot);
+  }
+
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      fse.removeSync(lockPath);
+      // Programmatic callers can install many times in one process
+      process.removeListener('exit', release);
+    }
+  };
+  process.once('exit', release);
+  return release;
+}
+
+// mkdir -p that reports which directories it created (outermost first)
+function ensureDirTracked(dir) {
+  const missing = [];
+  let current = dir;
+  while (!fs.existsSync(current)) {
+    missing.unshift(current);
+    current = path.dirname(current);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  return missing;
+}
+
+// Writes are staged inside the project (same filesystem, so renames are atomic) and
+// moved into place on commit. A failed critical write restores every file touched.
+function createTransaction(projectRoot) {
+  const stagingDir = fs.mkdtempSync(path.join(projectRoot, TRANSACTION_DIR_PREFIX));
+  const staged = [];
+  const applied = [];
+  const unrestored = [];
+
+  // Keeps going past files it cannot put back; their .backup copies stay in the staging folder
+  function rollback() {
+    for (const record of applied.reverse()) {
+      if (record.committed) {
+        try {
+          if (record.backupPath) {
+            fs.renameSync(record.backupPath, record.targetPath);
+          } else {
+            fse.removeSync(record.targetPath);
+          }
+        } catch (error) {
+          unrestored.push({
+            path: record.relPath,
+            backup: record.backupPath && path.relative(projectRoot, record.backupPath),
+            message: error?.message || 'Check file permissions.',
+          });
+        }
+      }
+      for (const dir of record.createdDirs.reverse()) {
+        try {
+          if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+          }
+        } catch {
+          // An empty folder left behind is harmless
+        }
+      }
+    }
+  }
+
+  return {
+    stage(relPath, content, { critical = true } = {}) {
+      const stagedPath = path.join(stagingDir, String(staged.length));
+      fs.writeFileSync(stagedPath, content);
+      staged.push({ relPath, stagedPath, critical });
+    },
+    commit() {
+      const failures = [];
+      for (const item of staged) {
+        const targetPath = path.join(projectRoot, item.relPath);
+        const record = {
+          relPath: item.relPath,
+          targetPath,
+          backupPath: null,
+          createdDirs: [],
+          committed: false,
+        };
+        applied.push(record);
+        try {
+          if (fs.existsSync(targetPath)) {
+            record.backupPath = `${item.stagedPath}.backup`;
+            fs.copyFileSync(targetPath, record.backupPath);
+          }
+          record.createdDirs = ensureDirTracked(path.dirname(targetPath));
+          fs.renameSync(item.stagedPath, targetPath);
+          record.committed = true;
+        } catch (error) {
+          failures.push({
+            path: item.relPath,
+            critical: item.critical,
+            message: error?.message || 'Check file permissions.',
+          });
+          if (item.critical) {
+            rollback();
+            return { failures, rolledBack: true, unrestored };
+          }
+        }
+      }
+      return { failures, rolledBack: false, unrestored };
+    },
+    dispose() {
+      if (unrestored.length === 0) {
+        fse.removeSync(stagingDir);
+      }
+    },
+  };
+}
+
+// Remove directories left empty by uninstall, stopping at the project root
+function removeEmptyParents(projectRoot, filePath) {
+  let dir = path.dirname(filePath);
+  while (dir.startsWith(projectRoot + path.sep)) {
+    if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0) {
+      return;
+    }
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+async function runUninstall(targetDir, options) {
+  if (options.ci) {
+    options.yes = true;
+  }
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  const outputMode = getOutputMode(options);
+  const logger = createLogger(outputMode);
+  const manifestPath = path.join(projectRoot, MANIFEST_FILE);
+
+  logger.log(chalk.blue('🧹 Uninstalling AI Kit...'));
+
+  // Held like an install's, so the two cannot run over each other
+  let releaseLock = () => {};
+  if (!options.dryRun) {
+    try {
+      releaseLock = acquireInstallLock(projectRoot);
+    } catch (error) {
+      if (error.code !== 'ELOCKED') {
+        throw error;
+      }
+      logger.error(chalk.red(`❌ ${error.message}`));
+      logger.error(chalk.gray(`   Wait for it to finish, or delete ${LOCK_FILE} if it crashed.`));
+      process.exit(1);
+    }
+  }
+
+  let manifest;
+  try {
+    manifest = readManifest(manifestPath);
+  } catch (error) {
+    logger.error(chalk.red(`❌ Could not read ${MANIFEST_FILE}: ${error.message}`));
+    logger.error(chalk.gray('   Remove AI Kit files manually or restore the manifest from git.'));
+    process.exit(1);
+  }
+  if (!manifest) {
+    logger.error(chalk.red(`❌ No ${MANIFEST_FILE} found.`));
+    logger.error(chalk.gray('   Uninstall only removes files tracked by the installer manifest.'));
+    process.exit(1);
+  }
+
+  const removals = [];
+  const kept = [];
+  const missing = [];
+  for (const [relPath, entry] of Object.entries(manifest.files)) {
+    const filePath = path.join(projectRoot, relPath);
+    if (!fs.existsSync(filePath)) {
+      missing.push(relPath);
+      continue;
+    }
+    if (entryMatches(entry, fs.readFileSync(filePath), manifest.options)) {
+      removals.push(relPath);
+    } else {
+      kept.push(relPath);
+    }
+  }
+
+  const cursorDirName = resolveCursorDirName(
+    projectRoot,
+    { cursorDir: options.cursorDir || manifest.options.cursorDir },
+    { dryRun: true }
+  );
+  const hydrationPromptPath = path.join(projectRoot, HYDRATION_PROMPT_FILE);
+  if (fs.existsSync(hydrationPromptPath)) {
+    const content = fs.readFileSync(hydrationPromptPath);
+    // Manifests from before prompt tracking: compare with a prompt rebuilt from HYDRATE.md
     const hydratePath = path.join(projectRoot, cursorDirName, 'HYDRATE.md');
-    if (fs.existsSync(hydratePath)) {
-      const hydrateContent = fs.readFileSync(hydratePath, 'utf-8');
-      const docsHydratePath = path.join(projectRoot, 'docs', 'hydration-prompt.md');
-      const docsHydrateContent = [
-        '# Hydration Prompt (Generated)',
-        '',
-        'This file is generated by create-ai-kit.',
-        `Source of truth: ${cursorDirName}/HYDRATE.md.`,
-        'Use this if your clipboard is empty.',
-        'Not part of the docs-update workflow.',
-        '',
-        '---',
-        '',
-        hydrateContent.trimEnd(),
-        '',
-      ].join('\n');
-
-      if (!options.dryRun) {
-        try {
-          fse.outputFileSync(docsHydratePath, docsHydrateContent);
-          logger.log(chalk.gray('\n📄 Hydration prompt saved to docs/hydration-prompt.md'));
-        } catch (e) {
-          logger.log(chalk.gray('\n📄 Could not save docs/hydration-prompt.md.'));
-          logger.log(chalk.gray(`   ${e.message || 'Check file permissions.'}`));
+    const generated = manifest.hydrationPrompt
+      ? entryMatches(manifest.hydrationPrompt, content)
+      : fs.existsSync(hydratePath) &&
+        contentMatches(
+          content,
+          buildHydrationPrompt(cursorDirName, fs.readFileSync(hydratePath, 'utf-8'))
+        );
+    (generated ? removals : kept).push(HYDRATION_PROMPT_FILE);
+  }
+  const backupsPath = path.join(projectRoot, BACKUPS_DIR);
+  const hasBackups = fs.existsSync(backupsPath) && fs.readdirSync(backupsPath).length > 0;
+
+  const pkgPath = path.join(projectRoot, 'package.json');
+  const scriptRemovals = [];
+  const dependencyRemovals = [];
+  let pkgJson = null;
+  let pkgFormat = null;
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const pkgText = fs.readFileSync(pkgPath, 'utf-8');
+      pkgJson = JSON.parse(pkgText);
+      pkgFormat = detectJsonFormat(pkgText);
+      for (const [name, range] of Object.entries(manifest.devDependencies)) {
+        if (pkgJson.devDependencies?.[name] === range) {
+          dependencyRemovals.push(name);
         }
       }
-
-      if (clipboardy && !options.ci) {
-        try {
-          clipboardy.writeSync(hydrateContent);
-          logger.log(chalk.cyan('\n📋 Hydration prompt copied to clipboard!'));
-          logger.log(chalk.gray('   If your clipboard is empty, use docs/hydration-prompt.md.'));
-        } catch {
-          logger.log(chalk.gray('\n📋 Could not copy to clipboard.'));
-          logger.log(chalk.gray('   Use docs/hydration-prompt.md instead.'));
+      // Only scripts the manifest recorded; a matching value alone may be the user's own
+      for (const [key, val] of Object.entries(manifest.scripts)) {
+        if (pkgJson.scripts?.[key] === val) {
+          scriptRemovals.push(key);
         }
-      } else if (!options.ci) {
-        logger.log(chalk.gray('\n📋 Clipboard not available in this environment.'));
-        logger.log(chalk.gray('   Use docs/hydration-prompt.md instead.'));
       }
+    } catch (error) {
+      logger.warn(chalk.yellow(`⚠️  Could not parse package.json: ${error.message}`));
+    }
+  }
 
-      if (outputMode === OUTPUT_MODES.FULL && options.printPrompt) {
-        logger.log('\n📎 Copyable hydration prompt:');
-        logger.log(chalk.gray('--- HYDRATION PROMPT START ---'));
-        logger.log(hydrateContent.trimEnd());
-        logger.log(chalk.gray('--- HYDRATION PROMPT END ---\n'));
-      } else if (outputMode === OUTPUT_MODES.FULL) {
-        logger.log(chalk.gray('\n📎 Prompt output suppressed (use --print-prompt to show it).'));
+  // The ai-kit block comes out of .gitignore and, if it was used, .git/info/exclude
+  const ignoreFiles = ['.gitignore'];
+  if (manifest.options.gitExclude) {
+    try {
+      ignoreFiles.push(resolveGitExclude(projectRoot).file);
+    } catch {
+      // No repository any more, so there is no exclude file to clean up
+    }
+  }
+  const ignoreUpdates = ignoreFiles
+    .filter((file) => fs.existsSync(path.join(projectRoot, file)))
+    .map((file) => ({
+      file,
+      content: removeIgnoreBlock(
+        fs.readFileSync(path.join(projectRoot, file), 'utf-8'),
+        file === '.gitignore' ? getGitignoreEntries(cursorDirName) : []
+      ),
+    }))
+    .filter((update) => update.content !== null);
+
+  if (options.dryRun) {
+    logger.log('\nDry Run Results:');
+    removals.forEach((relPath) => logger.log(chalk.red(`  - Remove: ${relPath}`)));
+    kept.forEach((relPath) => logger.log(chalk.yellow(`  ! Keep: ${relPath} (modified)`)));
+    scriptRemovals.forEach((key) => logger.log(chalk.red(`  - Remove script: ${key}`)));
+    dependencyRemovals.forEach((name) =>
+      logger.log(chalk.red(`  - Remove devDependency: ${name}`))
+    );
+    ignoreUpdates.forEach((update) =>
+      logger.log(chalk.red(`  - Remove ai-kit block from ${update.file}`))
+    );
+    if (hasBackups) {
+      logger.log(chalk.yellow(`  ! Keep: ${BACKUPS_DIR}/ (upgrade backups)`));
+    }
+    return;
+  }
+
+  if (!options.yes) {
+    const confirmed = await confirm(
+      chalk.yellow(`⚠️  Remove ${removals.length} AI Kit file(s)? (y/N) `)
+    );
+    if (!confirmed) {
+      console.log('Aborted.');
+      process.exit(0);
+    }
+  }
+
+  const failures = [];
+  for (const relPath of removals) {
+    const filePath = path.join(projectRoot, relPath);
+    try {
+      fs.unlinkSync(filePath);
+      removeEmptyParents(projectRoot, filePath);
+      logger.log(chalk.red(`  Removed: ${relPath}`));
+    } catch (error) {
+      failures.push({ path: relPath, message: error?.message || 'Check file permissions.' });
+    }
+  }
+
+  if (scriptRemovals.length > 0 || dependencyRemovals.length > 0) {
+    try {
+      scriptRemovals.forEach((key) => delete pkgJson.scripts[key]);
+      dependencyRemovals.forEach((name) => delete pkgJson.devDependencies[name]);
+      if (pkgJson.devDependencies && Object.keys(pkgJson.devDependencies).length === 0) {
+        delete pkgJson.devDependencies;
       }
+      fs.writeFileSync(pkgPath, stringifyJson(pkgJson, pkgFormat));
+      logger.log(chalk.gray('  Removed package.json scripts'));
+    } catch (error) {
+      failures.push({ path: 'package.json', message: error?.message || 'Check file permissions.' });
     }
+  }
 
-    if (!options.quiet && !options.ci) {
-      logger.log(
-        chalk.cyan('\n💡 Paste the prompt in Cursor Composer (Cmd+Shift+I) in Plan mode.')
-      );
-      logger.log(chalk.gray('   The agent may ask for confirmation on some changes.'));
-      logger.log(chalk.gray('   Hydration can take a while on large projects.'));
-      logger.log(chalk.gray('   Review hydrated docs after — AI can make mistakes.'));
-      if (!options.zeroConfig) {
-        logger.log(chalk.gray('\n   Verify: npm run ai-kit:verify'));
+  for (const update of ignoreUpdates) {
+    const filePath = path.join(projectRoot, update.file);
+    try {
+      // An emptied .gitignore was most likely created by AI Kit; git's own exclude file stays
+      if (update.file === '.gitignore' && update.content.trim().length === 0) {
+        fs.unlinkSync(filePath);
+        logger.log(chalk.gray('  Removed .gitignore'));
+      } else {
+        fs.writeFileSync(filePath, update.content);
+        logger.log(chalk.gray(`  Updated ${update.file}`));
       }
-      logger.log(
-        chalk.gray('   ESLint: if configured, run npx create-ai-kit eslint-setup (run yourself)')
+    } catch (error) {
+      failures.push({ path: update.file, message: error?.message || 'Check file permissions.' });
+    }
+  }
+
+  if (failures.length > 0) {
+    logger.error(chalk.red('\n❌ Some files could not be removed:'));
+    failures.forEach((failure) => {
+      logger.error(chalk.red(`- ${failure.path}: ${failure.message}`));
+    });
+    logger.error(chalk.gray(`   ${MANIFEST_FILE} was kept so you can retry.`));
+    process.exit(1);
+  }
+
+  fs.unlinkSync(manifestPath);
+  releaseLock();
+
+  if (kept.length > 0) {
+    logger.warn(chalk.yellow('\n⚠️  Kept files you modified:'));
+    kept.forEach((relPath) => logger.warn(chalk.yellow(`- ${relPath}`)));
+    logger.warn(chalk.gray('   Delete them yourself if you no longer need them.'));
+  }
+  if (hasBackups) {
+    logger.warn(chalk.yellow(`\n⚠️  Kept upgrade backups in ${BACKUPS_DIR}/`));
+    logger.warn(chalk.gray('   They hold your files from before AI Kit upgrades overwrote them.'));
+    logger.warn(chalk.gray(`   Delete ${BACKUPS_DIR}/ once you no longer need them.`));
+  }
+  if (missing.length > 0 && outputMode === OUTPUT_MODES.FULL) {
+    logger.log(chalk.gray(`\n   ${missing.length} tracked file(s) were already removed.`));
+  }
+
+  logger.log(chalk.green('\n✅ AI Kit uninstalled.'));
+}
+
+// Sortable, filesystem-safe timestamp used as the backup folder name
+function createBackupId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function listBackups(projectRoot) {
+  const backupsRoot = path.join(projectRoot, BACKUPS_DIR);
+  if (!fs.existsSync(backupsRoot)) {
+    return [];
+  }
+  return fs
+    .readdirSync(backupsRoot)
+    .filter((id) => fs.existsSync(path.join(backupsRoot, id, BACKUP_INDEX_FILE)))
+    .sort();
+}
+
+async function runRestore(targetDir, backupId, options) {
+  if (options.ci) {
+    options.yes = true;
+  }
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  const outputMode = getOutputMode(options);
+  const logger = createLogger(outputMode);
+  const backups = listBackups(projectRoot);
+
+  if (options.list) {
+    if (backups.length === 0) {
+      logger.log(chalk.gray(`No backups in ${BACKUPS_DIR}/.`));
+    }
+    backups.forEach((id) => logger.log(id));
+    return;
+  }
+
+  if (backups.length === 0) {
+    logger.error(chalk.red(`❌ No backups found in ${BACKUPS_DIR}/.`));
+    logger.error(chalk.gray('   Backups are created when --force overwrites files.'));
+    process.exit(1);
+  }
+  const selectedId = backupId || backups[backups.length - 1];
+  if (!backups.includes(selectedId)) {
+    logger.error(chalk.red(`❌ Backup not found: ${selectedId}`));
+    logger.error(chalk.gray('   Run `npx create-ai-kit restore --list` to see available backups.'));
+    process.exit(1);
+  }
+
+  const backupDir = path.join(BACKUPS_DIR, selectedId);
+  const index = JSON.parse(
+    fs.readFileSync(path.join(projectRoot, backupDir, BACKUP_INDEX_FILE), 'utf-8')
+  );
+
+  logger.log(chalk.blue(`⏪ Restoring backup ${selectedId}...`));
+  if (options.dryRun) {
+    logger.log('\nDry Run Results:');
+    index.files.forEach((f) => logger.log(chalk.blue(`  ~ Restore: ${f.path}`)));
+    return;
+  }
+
+  if (!options.yes) {
+    const confirmed = await confirm(
+      chalk.yellow(`⚠️  Overwrite ${index.files.length} file(s) with the backup? (y/N) `)
+    );
+    if (!confirmed) {
+      console.log('Aborted.');
+      process.exit(0);
+    }
+  }
+
+  const manifestPath = path.join(projectRoot, MANIFEST_FILE);
+  let failures = [];
+  let unrestored = [];
+  let releaseLock = () => {};
+  let transaction = null;
+  try {
+    releaseLock = acquireInstallLock(projectRoot);
+    const manifest = readManifest(manifestPath) || createManifest({});
+    transaction = createTransaction(projectRoot);
+    for (const f of index.files) {
+      transaction.stage(f.path, fs.readFileSync(path.join(projectRoot, backupDir, f.path)));
+      if (f.manifestEntry) {
+        manifest.files[f.path] = f.manifestEntry;
+      } else {
+        delete manifest.files[f.path];
+      }
+    }
+    transaction.stage(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    ({ failures, unrestored } = transaction.commit());
+  } catch (error) {
+    failures = [{ path: backupDir, message: error.message }];
+  } finally {
+    transaction?.dispose();
+    releaseLock();
+  }
+
+  if (failures.length > 0) {
+    logger.error(
+      chalk.red(
+        unrestored.length > 0
+          ? '\n❌ Restore failed:'
+          : '\n❌ Restore failed. No files were changed:'
+      )
+    );
+    failures.forEach((failure) => {
+      logger.error(chalk.red(`- ${failure.path}: ${failure.message}`));
+    });
+    unrestored.forEach((item) => {
+      logger.error(
+        chalk.red(
+          item.backup
+            ? `- ${item.path} could not be put back; the previous copy is kept at ${item.backup}`
+            : `- ${item.path} could not be removed: ${item.message}`
+        )
+      );
+    });
+    process.exit(1);
+  }
+
+  index.files.forEach((f) => logger.log(chalk.blue(`  Restored: ${f.path}`)));
+  logger.log(chalk.green(`\n✅ Restored ${index.files.length} file(s) from ${backupDir}`));
+}
+
+// Compare manifest entries with the working tree and the templates shipped by this CLI
+function getInstallStatus(projectRoot, manifest, templates) {
+  const templatesByTarget = new Map(templates.map((t) => [t.targetRelPath, t]));
+  const files = Object.entries(manifest.files).map(([relPath, entry]) => {
+    const filePath = path.join(projectRoot, relPath);
+    if (!fs.existsSync(filePath)) {
+      return { path: relPath, state: FILE_STATES.MISSING };
+    }
+    const content = fs.readFileSync(filePath);
+    if (fs.existsSync(`${filePath}.new`) || hasConflictMarkers(content.toString('utf-8'))) {
+      return { path: relPath, state: FILE_STATES.CONFLICT };
+    }
+    if (!entryMatches(entry, content, manifest.options)) {
+      return { path: relPath, state: FILE_STATES.MODIFIED };
+    }
+    const template = templatesByTarget.get(relPath);
+    if (template && !entryMatches(entry, template.content, manifest.options)) {
+      return { path: relPath, state: FILE_STATES.OUTDATED };
+    }
+    return { path: relPath, state: FILE_STATES.PRISTINE };
+  });
+  const notInstalled = templates
+    .map((t) => t.targetRelPath)
+    .filter((relPath) => !Object.prototype.hasOwnProperty.call(manifest.files, relPath));
+
+  return { files, notInstalled };
+}
+
+async function runStatus(targetDir, options) {
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  const outputMode = getOutputMode(options);
+  const logger = createLogger(outputMode);
+  const manifestPath = path.join(projectRoot, MANIFEST_FILE);
+
+  let manifest;
+  try {
+    manifest = readManifest(manifestPath);
+  } catch (error) {
+    logger.error(chalk.red(`❌ Could not read ${MANIFEST_FILE}: ${error.message}`));
+    process.exit(1);
+  }
+  if (!manifest) {
+    logger.error(chalk.red(`❌ No ${MANIFEST_FILE} found.`));
+    logger.error(chalk.gray('   Run `npx create-ai-kit` to install AI Kit first.'));
+    process.exit(1);
+  }
+
+  const cursorDirName = resolveCursorDirName(
+    projectRoot,
+    { cursorDir: options.cursorDir || manifest.options.cursorDir },
+    { dryRun: true }
+  );
+  let templates;
+  try {
+    templates = collectTemplates(projectRoot, cursorDirName, {
+      zeroConfig: options.minimal || manifest.options.minimal,
+      templates: manifest.options.templates,
+      workspaces: manifest.options.workspaces,
+      stackRules: manifest.options.stackRules,
+      targets: manifest.options.targets,
+      components: manifest.options.components,
+      sourceRoots: manifest.options.sourceRoots,
+      stacks: manifest.options.stacks,
+      scriptPrefix: manifest.options.scriptPrefix,
+      scripts: manifest.options.scripts,
+      eject: isEjectedInstall(manifest),
+    });
+  } catch (error) {
+    logger.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  const { files, notInstalled } = getInstallStatus(projectRoot, manifest, templates);
+
+  logger.log(chalk.blue('📊 AI Kit status'));
+  logger.log(chalk.gray(`   Installed: ${manifest.version || 'unknown'} · CLI: ${pkg.version}`));
+  logger.log(
+    chalk.gray(
+      `   Options: cursor dir ${cursorDirName}${manifest.options.minimal ? ' · minimal' : ''}`
+    )
+  );
+
+  const groups = [
+    { state: FILE_STATES.CONFLICT, title: 'Pending conflicts', color: 'red' },
+    { state: FILE_STATES.MISSING, title: 'Missing', color: 'red' },
+    { state: FILE_STATES.MODIFIED, title: 'Modified by user', color: 'yellow' },
+    { state: FILE_STATES.OUTDATED, title: 'Outdated (template changed)', color: 'blue' },
+    { state: FILE_STATES.PRISTINE, title: 'Pristine', color: 'green' },
+  ];
+  for (const group of groups) {
+    const matches = files.filter((f) => f.state === group.state);
+    if (matches.length === 0) {
+      continue;
+    }
+    logger.log(chalk[group.color](`\n${group.title} (${matches.length}):`));
+    matches.forEach((f) => logger.log(chalk.gray(`  ${f.path}`)));
+  }
+
+  if (notInstalled.length > 0) {
+    logger.log(chalk.cyan(`\nNot yet installed (${notInstalled.length}):`));
+    notInstalled.forEach((relPath) => logger.log(chalk.gray(`  ${relPath}`)));
+  }
+
+  const upgradable = files.filter((f) => f.state === FILE_STATES.OUTDATED).length;
+  if (upgradable > 0 || notInstalled.length > 0) {
+    logger.log(chalk.gray('\n💡 Run `npx create-ai-kit --force` to upgrade.'));
+  }
+}
+
+// Pending `.new` files next to tracked or shipped template paths
+function findPendingConflicts(projectRoot, manifest, templates) {
+  const candidates = new Set([
+    ...Object.keys(manifest?.files || {}),
+    ...templates.map((t) => t.targetRelPath),
+  ]);
+  return [...candidates]
+    .filter((relPath) => fs.existsSync(path.join(projectRoot, `${relPath}.new`)))
+    .sort();
+}
+
+const RESOLVE_CHOICES = {
+  m: 'mine',
+  t: 'theirs',
+  o: 'merged',
+  s: 'skip',
+};
+
+// $EDITOR as command and arguments; quotes keep words together (`"/opt/My Editor/edit" -w`)
+function splitCommandLine(value) {
+  return [...value.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(
+    ([, doubleQuoted, singleQuoted, word]) => doubleQuoted ?? singleQuoted ?? word
+  );
+}
+
+function openInEditor(filePath) {
+  const [command, ...args] = splitCommandLine(process.env.VISUAL || process.env.EDITOR || '');
+  if (!command) {
+    return false;
+  }
+  // No shell, so the file path reaches the editor as one argument whatever it contains
+  const result = spawnSync(command, [...args, filePath], { stdio: 'inherit' });
+  return result.status === 0;
+}
+
+async function runResolve(targetDir, options) {
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  const outputMode = getOutputMode(options);
+  const logger = createLogger(outputMode);
+  const manifestPath = path.join(projectRoot, MANIFEST_FILE);
+
+  if (options.accept && !['theirs', 'mine'].includes(options.accept)) {
+    logger.error(chalk.red(`❌ Invalid --accept value: ${options.accept}`));
+    logger.error(chalk.gray('   Use --accept theirs or --accept mine.'));
+    process.exit(1);
+  }
+
+  let manifest;
+  try {
+    manifest = readManifest(manifestPath);
+  } catch (error) {
+    logger.error(chalk.red(`❌ Could not read ${MANIFEST_FILE}: ${error.message}`));
+    process.exit(1);
+  }
+
+  const cursorDirName = resolveCursorDirName(
+    projectRoot,
+    { cursorDir: options.cursorDir || manifest?.options.cursorDir },
+    { dryRun: true }
+  );
+  let templates;
+  try {
+    templates = collectTemplates(projectRoot, cursorDirName, {
+      templates: manifest?.options.templates,
+      workspaces: manifest?.options.workspaces,
+      stackRules: manifest?.options.stackRules,
+      targets: manifest?.options.targets,
+      components: manifest?.options.components,
+      sourceRoots: manifest?.options.sourceRoots,
+      stacks: manifest?.options.stacks,
+      scriptPrefix: manifest?.options.scriptPrefix,
+      scripts: manifest?.options.scripts,
+      eject: isEjectedInstall(manifest),
+    });
+  } catch (error) {
+    logger.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  const pending = findPendingConflicts(projectRoot, manifest, templates);
+
+  if (pending.length === 0) {
+    logger.log(chalk.green('✅ No pending .new files.'));
+    return;
+  }
+
+  logger.log(chalk.blue(`🔀 ${pending.length} pending upgrade conflict(s)`));
+  if (options.dryRun) {
+    pending.forEach((relPath) => logger.log(chalk.yellow(`  ? ${relPath}.new`)));
+    return;
+  }
+
+  const interactive = !options.accept && !options.ci && process.stdin.isTTY;
+  if (!options.accept && !interactive) {
+    logger.error(chalk.red('❌ No TTY available for interactive resolve.'));
+    logger.error(chalk.gray('   Use --accept theirs or --accept mine.'));
+    process.exit(1);
+  }
+
+  manifest = manifest || createManifest({ cursorDir: cursorDirName });
+  const templatesByTarget = new Map(templates.map((t) => [t.targetRelPath, t]));
+  const resolved = [];
+
+  for (const relPath of pending) {
+    const livePath = path.join(projectRoot, relPath);
+    const newPath = `${livePath}.new`;
+    const theirs = fs.readFileSync(newPath, 'utf-8');
+    const mine = fs.existsSync(livePath) ? fs.readFileSync(livePath, 'utf-8') : '';
+
+    let choice = options.accept;
+    if (interactive) {
+      logger.log(chalk.bold(`\n${relPath}`));
+      formatUnifiedDiff(mine, theirs, `${relPath} (yours)`, `${relPath}.new (ai-kit)`).forEach(
+        (line) => {
+          if (line.startsWith('@@')) {
+            logger.log(chalk.cyan(line));
+          } else if (line.startsWith('+')) {
+            logger.log(chalk.green(line));
+          } else if (line.startsWith('-')) {
+            logger.log(chalk.red(line));
+          } else {
+            logger.log(line);
+          }
+        }
       );
+      let answer = '';
+      while (!RESOLVE_CHOICES[answer]) {
+        answer = (await ask('[m] keep mine  [t] take theirs  [o] open merged  [s] skip: ')).charAt(
+          0
+        );
+      }
+      choice = RESOLVE_CHOICES[answer];
+    }
+
+    if (choice === 'skip') {
+      continue;
+    }
+    if (choice === 'theirs') {
+      fs.writeFileSync(livePath, theirs);
+    } else if (choice === 'merged') {
+      const base = manifest.files[relPath]?.base;
+      const merged =
+        typeof base === 'string'
+          ? mergeLines(base, mine, theirs).content
+          : markConflicts(mine, theirs);
+      fs.writeFileSync(livePath, merged);
+      if (!openInEditor(livePath)) {
+        logger.log(chalk.gray(`   Wrote merged version to ${relPath}. Review conflict markers.`));
+      }
     }
+
+    fs.unlinkSync(newPath);
+    manifest.files[relPath] = createManifestEntry(
+      Buffer.from(theirs, 'utf-8'),
+      templatesByTarget.get(relPath)?.relPath,
+      { base: theirs, previous: manifest.files[relPath] }
+    );
+    resolved.push({ path: relPath, choice });
+    logger.log(chalk.green(`  Resolved: ${relPath} (${choice})`));
+  }
+
+  if (resolved.length > 0) {
+    writeManifest(manifestPath, manifest);
   }
+
+  const remaining = pending.length - resolved.length;
+  logger.log(
+    chalk.green(`\n✅ Resolved ${resolved.length} file(s).`) +
+      (remaining > 0 ? chalk.yellow(` ${remaining} skipped.`) : '')
+  );
 }
 
-async function runLint(options) {
+async function runLint(options, projectRoot = process.cwd()) {
   const outputMode = getOutputMode(options);
   const logger = createLogger(outputMode);
-  const cursorDirName = resolveCursorDirName(process.cwd(), options, { dryRun: true });
+  const cursorDirName = resolveCursorDirName(projectRoot, options, { dryRun: true });
   const targetPath = options.file
-    ? path.resolve(process.cwd(), options.file)
-    : resolveHydrationPromptPath(process.cwd(), cursorDirName);
+    ? path.resolve(projectRoot, options.file)
+    : resolveHydrationPromptPath(projectRoot, cursorDirName);
 
   if (!fs.existsSync(targetPath)) {
     logger.error(chalk.red('❌ Hydration prompt not found.'));
     logger.error(chalk.gray('   Provide --file or generate docs/hydration-prompt.md.'));
-    process.exit(1);
+    throw new AiKitError('Hydration prompt not found.', { code: 'ENOPROMPT' });
+  }
+
+  // `lint` in ai-kit.config.json sets team-wide budgets; flags override them per heading
+  const lintConfig = readKitConfig(projectRoot, cursorDirName).lint || {};
+  let sectionBudgets;
+  try {
+    sectionBudgets = {
+      ...parseSectionBudgets(
+        Object.entries(lintConfig.sectionBudgets || {}).map(
+          ([heading, budget]) => `${heading}=${budget}`
+        )
+      ),
+      ...parseSectionBudgets(options.sectionBudget),
+    };
+  } catch (error) {
+    logger.error(chalk.red(`❌ ${error.message}`));
+    throw new AiKitError(error.message, { code: 'EOPTION' });
   }
 
   const content = fs.readFileSync(targetPath, 'utf-8');
-  const warnings = lintPromptContent(content, {
+  const { warnings, tokens, sections, unmatchedBudgets } = lintPromptContent(content, {
     maxLines: Number.isFinite(options.maxLines) ? options.maxLines : 220,
     maxChars: Number.isFinite(options.maxChars) ? options.maxChars : 20000,
     maxRepeatedLines: Number.isFinite(options.maxRepeatedLines) ? options.maxRepeatedLines : 4,
+    maxTokens: [options.maxTokens, lintConfig.maxTokens, 5000].find(Number.isFinite),
+    sectionBudgets,
   });
 
+  const file = path.relative(projectRoot, targetPath);
   logger.log(chalk.blue('🔍 Linting hydration prompt...'));
-  logger.log(chalk.gray(`   File: ${path.relative(process.cwd(), targetPath)}`));
+  logger.log(chalk.gray(`   File: ${file}`));
+  logger.log(chalk.gray(`   Estimated tokens: ~${tokens}`));
+  logger.log(chalk.gray('\n   Sections (estimated tokens, including subsections):'));
+  const sizes = sections.map(
+    (section) => `~${section.tokens}${section.budget !== null ? ` / ${section.budget}` : ''}`
+  );
+  const width = Math.max(...sizes.map((size) => size.length));
+  sections.forEach((section, index) => {
+    const indent = '  '.repeat(Math.max(section.level - 1, 0));
+    const line = `   ${sizes[index].padStart(width)}  ${indent}${section.heading}`;
+    logger.log(
+      section.budget !== null && section.tokens > section.budget
+        ? chalk.yellow(line)
+        : chalk.gray(line)
+    );
+  });
+  if (unmatchedBudgets.length > 0) {
+    logger.log(chalk.gray(`   No section matches budget: ${unmatchedBudgets.join(', ')}`));
+  }
 
   if (warnings.length === 0) {
     logger.log(chalk.green('\n✅ Prompt lint: PASS'));
-    process.exit(0);
+    return { file, warnings, passed: true, tokens, sections };
   }
 
   logger.warn(chalk.yellow('\n⚠️  Prompt lint: WARN'));
   warnings.forEach((warning) => {
     logger.warn(chalk.yellow(`- ${warning}`));
   });
-  process.exit(1);
+  return { file, warnings, passed: false, tokens, sections };
+}
+
+// "Heading=tokens" values from --section-budget (repeatable) or the config
+function parseSectionBudgets(values = []) {
+  const budgets = {};
+  for (const value of values) {
+    const separator = String(value).lastIndexOf('=');
+    const heading = separator > 0 ? value.slice(0, separator).trim() : '';
+    const budget = Number.parseInt(String(value).slice(separator + 1), 10);
+    if (!heading || !Number.isFinite(budget) || budget <= 0) {
+      throw new Error(`Invalid section budget "${value}". Use "Heading=tokens".`);
+    }
+    budgets[heading] = budget;
+  }
+  return budgets;
 }
 
 // ESLint config detection and patching
@@ -885,8 +4170,11 @@ function generateLegacyJsPatch() {
 `;
 }
 
-async function runEslintSetup(options) {
-  const projectRoot = process.cwd();
+function getLintCommand(projectRoot) {
+  return `${RUN_SCRIPT_COMMANDS[detectPackageManager(projectRoot)]} lint`;
+}
+
+async function runEslintSetup(options, projectRoot = process.cwd()) {
   const outputMode = getOutputMode(options);
   const logger = createLogger(outputMode);
 
@@ -897,7 +4185,7 @@ async function runEslintSetup(options) {
   if (!fs.existsSync(eslintRulesPath)) {
     logger.error(chalk.red('❌ eslint-rules/ folder not found.'));
     logger.log(chalk.gray('   Run `npx create-ai-kit` first to install AI Kit.'));
-    process.exit(1);
+    throw new AiKitError('eslint-rules/ folder not found.', { code: 'ENORULES' });
   }
 
   // Detect ESLint config
@@ -909,23 +4197,27 @@ async function runEslintSetup(options) {
     logger.log(
       chalk.gray('   Supported: eslint.config.js, .eslintrc.js, .eslintrc.json, .eslintrc.yml')
     );
-    process.exit(1);
+    throw new AiKitError('No ESLint configuration found.', { code: 'ENOESLINTCONFIG' });
   }
 
   logger.log(chalk.gray(`   Detected: ${config.file} (${config.type})`));
 
   // Handle different config types
-  if (config.type === 'flat') {
-    await patchFlatConfig(config, logger, options);
-  } else if (config.type === 'legacy-js') {
-    await patchLegacyJsConfig(config, logger, options);
-  } else if (config.type === 'legacy-json') {
-    await patchLegacyJsonConfig(config, logger, options);
-  } else if (config.type === 'legacy-yaml') {
-    logger.warn(chalk.yellow('\n⚠️  YAML config detected. Manual setup required.'));
-    logger.log(chalk.gray('   Add these to your .eslintrc.yml:'));
-    logger.log(
-      chalk.cyan(`
+  const patchers = {
+    flat: patchFlatConfig,
+    'legacy-js': patchLegacyJsConfig,
+    'legacy-json': patchLegacyJsonConfig,
+    'legacy-yaml': patchLegacyYamlConfig,
+    'package-json': patchPackageJsonConfig,
+  };
+  const result = await patchers[config.type](config, logger, options);
+  return { file: config.file, type: config.type, ...result };
+}
+
+// Patchers return { status } where status is configured, patched, dry-run (with the
+// content that would be written) or manual (with instructions to apply by hand)
+async function patchLegacyYamlConfig(config, logger) {
+  const instructions = `
 plugins:
   - ./eslint-rules
 
@@ -937,12 +4229,11 @@ rules:
     - warn
     - maxDays: 14
       warnDays: 7
-`)
-    );
-    process.exit(0);
-  } else if (config.type === 'package-json') {
-    await patchPackageJsonConfig(config, logger, options);
-  }
+`;
+  logger.warn(chalk.yellow('\n⚠️  YAML config detected. Manual setup required.'));
+  logger.log(chalk.gray(`   Add these to your ${config.file}:`));
+  logger.log(chalk.cyan(instructions));
+  return { status: 'manual', instructions };
 }
 
 async function patchFlatConfig(config, logger, options) {
@@ -951,7 +4242,7 @@ async function patchFlatConfig(config, logger, options) {
   // Check if already patched
   if (content.includes('ai-kit') || content.includes('eslint-rules')) {
     logger.log(chalk.green('✅ ESLint config already includes AI Kit rules.'));
-    return;
+    return { status: 'configured' };
   }
 
   // Generate the patch
@@ -984,21 +4275,22 @@ async function patchFlatConfig(config, logger, options) {
     patched = patched.replace(/module\.exports\s*=\s*\[/, `module.exports = [\n${configBlock}`);
   } else {
     // Can't auto-patch, show manual instructions
+    const instructions = `// At the top:\n${importLine}\n\n// In your config array:\n${configBlock}`;
     logger.warn(chalk.yellow('\n⚠️  Could not auto-patch. Add manually:'));
-    logger.log(chalk.cyan(`\n// At the top:\n${importLine}\n`));
-    logger.log(chalk.cyan(`// In your config array:\n${configBlock}`));
-    return;
+    logger.log(chalk.cyan(`\n${instructions}`));
+    return { status: 'manual', instructions };
   }
 
   if (options.dryRun) {
     logger.log(chalk.gray('\n--- Dry run: would write ---'));
     logger.log(patched);
-    return;
+    return { status: 'dry-run', content: patched };
   }
 
   fs.writeFileSync(config.path, patched);
   logger.log(chalk.green(`\n✅ Patched ${config.file}`));
-  logger.log(chalk.gray('   Run `npm run lint` to verify.'));
+  logger.log(chalk.gray(`   Run \`${getLintCommand(path.dirname(config.path))}\` to verify.`));
+  return { status: 'patched' };
 }
 
 async function patchLegacyJsConfig(config, logger, options) {
@@ -1007,22 +4299,22 @@ async function patchLegacyJsConfig(config, logger, options) {
   // Check if already patched
   if (content.includes('eslint-rules')) {
     logger.log(chalk.green('✅ ESLint config already includes AI Kit rules.'));
-    return;
+    return { status: 'configured' };
   }
 
   // Legacy JS is harder to patch safely - provide instructions
-  logger.log(chalk.cyan('\n📝 Add these to your ESLint config:\n'));
-  logger.log(chalk.white(`// In ${config.file}, add to module.exports:`));
-  logger.log(
-    chalk.cyan(`
+  const instructions = `
   plugins: ['./eslint-rules'],
   rules: {
     './eslint-rules/docs-marker-expiry': ['error', { maxDays: 14 }],
     './eslint-rules/docs-marker-expiring': ['warn', { maxDays: 14, warnDays: 7 }],
   },
-`)
-  );
+`;
+  logger.log(chalk.cyan('\n📝 Add these to your ESLint config:\n'));
+  logger.log(chalk.white(`// In ${config.file}, add to module.exports:`));
+  logger.log(chalk.cyan(instructions));
   logger.log(chalk.gray('If you already have plugins/rules, merge them.'));
+  return { status: 'manual', instructions };
 }
 
 async function patchLegacyJsonConfig(config, logger, options) {
@@ -1034,14 +4326,14 @@ async function patchLegacyJsonConfig(config, logger, options) {
     jsonConfig = JSON.parse(content);
   } catch (e) {
     logger.error(chalk.red(`❌ Failed to parse ${config.file}: ${e.message}`));
-    process.exit(1);
+    throw new AiKitError(`Failed to parse ${config.file}: ${e.message}`, { code: 'EPARSE' });
   }
 
   // Check if already patched
   const plugins = jsonConfig.plugins || [];
   if (plugins.includes('./eslint-rules')) {
     logger.log(chalk.green('✅ ESLint config already includes AI Kit rules.'));
-    return;
+    return { status: 'configured' };
   }
 
   // Patch the config
@@ -1053,12 +4345,13 @@ async function patchLegacyJsonConfig(config, logger, options) {
   if (options.dryRun) {
     logger.log(chalk.gray('\n--- Dry run: would write ---'));
     logger.log(JSON.stringify(jsonConfig, null, 2));
-    return;
+    return { status: 'dry-run', content: JSON.stringify(jsonConfig, null, 2) + '\n' };
   }
 
   fs.writeFileSync(config.path, JSON.stringify(jsonConfig, null, 2) + '\n');
   logger.log(chalk.green(`\n✅ Patched ${config.file}`));
-  logger.log(chalk.gray('   Run `npm run lint` to verify.'));
+  logger.log(chalk.gray(`   Run \`${getLintCommand(path.dirname(config.path))}\` to verify.`));
+  return { status: 'patched' };
 }
 
 async function patchPackageJsonConfig(config, logger, options) {
@@ -1070,7 +4363,7 @@ async function patchPackageJsonConfig(config, logger, options) {
     pkg = JSON.parse(content);
   } catch (e) {
     logger.error(chalk.red(`❌ Failed to parse package.json: ${e.message}`));
-    process.exit(1);
+    throw new AiKitError(`Failed to parse package.json: ${e.message}`, { code: 'EPARSE' });
   }
 
   const eslintConfig = pkg.eslintConfig || {};
@@ -1079,7 +4372,7 @@ async function patchPackageJsonConfig(config, logger, options) {
   const plugins = eslintConfig.plugins || [];
   if (plugins.includes('./eslint-rules')) {
     logger.log(chalk.green('✅ ESLint config already includes AI Kit rules.'));
-    return;
+    return { status: 'configured' };
   }
 
   // Patch the config
@@ -1092,15 +4385,427 @@ async function patchPackageJsonConfig(config, logger, options) {
   ];
   pkg.eslintConfig = eslintConfig;
 
+  const patched = stringifyJson(pkg, detectJsonFormat(content));
   if (options.dryRun) {
     logger.log(chalk.gray('\n--- Dry run: would write ---'));
     logger.log(JSON.stringify(pkg, null, 2));
-    return;
+    return { status: 'dry-run', content: patched };
   }
 
-  fs.writeFileSync(config.path, JSON.stringify(pkg, null, 2) + '\n');
+  fs.writeFileSync(config.path, patched);
   logger.log(chalk.green('\n✅ Patched package.json eslintConfig'));
-  logger.log(chalk.gray('   Run `npm run lint` to verify.'));
+  logger.log(chalk.gray(`   Run \`${getLintCommand(path.dirname(config.path))}\` to verify.`));
+  return { status: 'patched' };
+}
+
+// Runs a bundled script in the project with the cursor dir the installer would use, so the
+// scripts and the installer cannot disagree about it
+function runScriptCommand(file, args, options) {
+  const projectRoot = process.cwd();
+  let manifest = null;
+  try {
+    manifest = readManifest(path.join(projectRoot, MANIFEST_FILE));
+  } catch {
+    // `doctor` reports a broken manifest; the scripts work without it
+  }
+  const cursorDirName = resolveCursorDirName(
+    projectRoot,
+    { cursorDir: options.cursorDir || manifest?.options.cursorDir },
+    { dryRun: true }
+  );
+  const result = spawnSync(process.execPath, [path.join(TEMPLATES_DIR, file), ...args], {
+    cwd: projectRoot,
+    stdio: 'inherit',
+    env: { ...process.env, AI_KIT_CURSOR_DIR: cursorDirName },
+  });
+  return typeof result.status === 'number' ? result.status : 1;
+}
+
+// Diagnostics: each check is ok, warn or fail, and anything not ok says how to fix it
+const DOCTOR_ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+
+// Lowest Node version an engines range accepts (">=14", "^18.17.0 || >=20"); null if unreadable
+function readMinimumNodeVersion(range) {
+  const minimums = String(range)
+    .split('||')
+    .map((part) => part.trim().match(/^(?:>=|\^|~|=)?\s*v?(\d+)(?:\.(\d+|x))?(?:\.(\d+|x))?/))
+    .filter(Boolean)
+    .map((match) => match.slice(1).map((n) => Number.parseInt(n, 10) || 0));
+  if (minimums.length === 0) {
+    return null;
+  }
+  return minimums.sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2])[0];
+}
+
+function checkNodeVersion(range, who) {
+  const minimum = readMinimumNodeVersion(range);
+  const current = process.versions.node.split('.').map(Number);
+  if (!minimum) {
+    return { status: 'warn', message: `Could not read ${who} engines.node "${range}"` };
+  }
+  const tooOld = current[0] - minimum[0] || current[1] - minimum[1] || current[2] - minimum[2] || 0;
+  return tooOld < 0
+    ? {
+        status: 'fail',
+        message: `Node ${process.versions.node} is older than ${who} needs (${range})`,
+        fix: `Install Node ${minimum.join('.')} or newer (e.g. \`nvm install ${minimum[0]}\`).`,
+      }
+    : { status: 'ok', message: `Node ${process.versions.node} satisfies ${who} (${range})` };
+}
+
+// Like isWritableDir, but creates nothing: checks the folder or its nearest existing parent
+function canWriteDir(targetPath) {
+  let current = targetPath;
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return false;
+    }
+    current = parent;
+  }
+  try {
+    fs.accessSync(current, fs.constants.W_OK);
+    return fs.statSync(current).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Runs the project's own ai-kit-paths.js, so the answer is what the installed scripts see
+function resolveScriptsCursorDir(projectRoot) {
+  const pathsFile = path.join(projectRoot, 'scripts', 'ai-kit-paths.js');
+  if (!fs.existsSync(pathsFile)) {
+    return null;
+  }
+  const result = spawnSync(
+    process.execPath,
+    ['-e', `process.stdout.write(require(${JSON.stringify(pathsFile)}).resolveCursorDir())`],
+    { cwd: projectRoot, encoding: 'utf-8' }
+  );
+  if (result.status !== 0) {
+    throw new Error((result.stderr || '').trim().split('\n')[0] || 'ai-kit-paths.js failed');
+  }
+  return result.stdout.trim();
+}
+
+function getDoctorChecks(projectRoot, options) {
+  const checks = [];
+  const add = (label, result) => checks.push({ label, ...result });
+
+  // Runtime
+  add('Node', checkNodeVersion(pkg.engines.node, 'create-ai-kit'));
+  let projectPkg = null;
+  const pkgPath = path.join(projectRoot, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    try {
+      projectPkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+    } catch (error) {
+      add('package.json', {
+        status: 'fail',
+        message: `Could not parse package.json: ${error.message}`,
+        fix: 'Fix the JSON syntax; the installer and scripts both read it.',
+      });
+    }
+  }
+  if (projectPkg?.engines?.node) {
+    add('Node', checkNodeVersion(projectPkg.engines.node, 'this project'));
+  }
+  const git = spawnSync('git', ['--version'], { encoding: 'utf-8' });
+  add(
+    'git',
+    git.status === 0
+      ? { status: 'ok', message: git.stdout.trim() }
+      : {
+          status: 'warn',
+          message: 'git is not on PATH',
+          fix: 'Install git; `docs:update` reads recent changes from `git log`.',
+        }
+  );
+
+  // Project config and manifest
+  let projectConfig = { file: null, values: {} };
+  try {
+    projectConfig = readProjectConfig(projectRoot);
+    if (projectConfig.file) {
+      add('Project config', { status: 'ok', message: `Using ${projectConfig.file}` });
+    }
+  } catch (error) {
+    add('Project config', {
+      status: 'fail',
+      message: error.message,
+      fix: `Fix or delete ${PROJECT_CONFIG_FILE}; both the installer and the scripts ignore it now.`,
+    });
+  }
+  let manifest = null;
+  try {
+    manifest = readManifest(path.join(projectRoot, MANIFEST_FILE));
+    add(
+      'Manifest',
+      manifest
+        ? { status: 'ok', message: `${MANIFEST_FILE} (installed ${manifest.version || '?'})` }
+        : {
+            status: 'warn',
+            message: `No ${MANIFEST_FILE}; AI Kit is not installed here`,
+            fix: 'Run `npx create-ai-kit`.',
+          }
+    );
+  } catch (error) {
+    add('Manifest', {
+      status: 'fail',
+      message: `Could not parse ${MANIFEST_FILE}: ${error.message}`,
+      fix: `Restore it from git, or delete it and run \`npx create-ai-kit --force\`.`,
+    });
+  }
+
+  // Cursor directory: what the installer and the installed scripts each resolve
+  const installerDir = resolveCursorDirName(
+    projectRoot,
+    { cursorDir: options.cursorDir || manifest?.options.cursorDir },
+    { dryRun: true }
+  );
+  const installed = fs.existsSync(path.join(projectRoot, installerDir, 'ai-kit.config.json'));
+  if (!canWriteDir(path.join(projectRoot, installerDir))) {
+    add('Cursor dir', {
+      status: 'fail',
+      message: `${installerDir}/ is not writable`,
+      fix:
+        installerDir === DEFAULT_CURSOR_DIR
+          ? `Fix the folder permissions. Otherwise installs fall back to ${FALLBACK_CURSOR_DIR}/, which Cursor does not read.`
+          : 'Fix the folder permissions, or choose another folder with `--cursor-dir`.',
+    });
+  } else if (installerDir === FALLBACK_CURSOR_DIR) {
+    add('Cursor dir', {
+      status: 'warn',
+      message: `Installed in ${FALLBACK_CURSOR_DIR}/ because ${DEFAULT_CURSOR_DIR}/ was not writable at install time`,
+      fix: `Cursor only reads ${DEFAULT_CURSOR_DIR}/. Copy ${FALLBACK_CURSOR_DIR}/ into it, or reinstall with \`--cursor-dir ${DEFAULT_CURSOR_DIR}\`.`,
+    });
+  } else {
+    add('Cursor dir', {
+      status: 'ok',
+      message: `Installer uses ${installerDir}/${installed ? '' : ' (not installed yet)'}`,
+    });
+  }
+
+  let scriptsDir = null;
+  try {
+    scriptsDir = resolveScriptsCursorDir(projectRoot);
+  } catch (error) {
+    add('Scripts cursor dir', {
+      status: 'fail',
+      message: `scripts/ai-kit-paths.js failed: ${error.message}`,
+      fix: 'Run `npx create-ai-kit --force` to restore the script.',
+    });
+  }
+  if (scriptsDir) {
+    const scriptsConfig = path.join(projectRoot, scriptsDir, 'ai-kit.config.json');
+    if (scriptsDir !== installerDir) {
+      add('Scripts cursor dir', {
+        status: 'fail',
+        message: `Scripts read ${scriptsDir}/ but the installer uses ${installerDir}/, so docs:check and docs:update ignore your config (excludes, sourceRoots)`,
+        fix: `Set "cursorDir": "${installerDir}" in ${PROJECT_CONFIG_FILE} (read by both), or export AI_KIT_CURSOR_DIR=${installerDir}.`,
+      });
+    } else if (!fs.existsSync(scriptsConfig)) {
+      add('Scripts cursor dir', {
+        status: 'fail',
+        message: `Scripts read ${scriptsDir}/ai-kit.config.json, which does not exist`,
+        fix: 'Run `npx create-ai-kit --force` to restore it.',
+      });
+    } else {
+      add('Scripts cursor dir', { status: 'ok', message: `Scripts use ${scriptsDir}/` });
+    }
+  } else if (manifest && !isEjectedInstall(manifest)) {
+    add('Scripts cursor dir', {
+      status: 'ok',
+      message: `Scripts run as \`${pkg.name} <command>\` and use ${installerDir}/`,
+    });
+    let hasRuntime = true;
+    try {
+      require.resolve(`${pkg.name}/package.json`, { paths: [projectRoot] });
+    } catch {
+      hasRuntime = false;
+    }
+    if (!hasRuntime && Object.keys(manifest.scripts).length > 0) {
+      add('Runtime', {
+        status: 'warn',
+        message: `${pkg.name} is not installed, so the package.json scripts cannot run`,
+        fix: `Run \`${detectPackageManager(projectRoot)} install\` (it is in devDependencies).`,
+      });
+    }
+  }
+
+  const kitConfigPath = path.join(projectRoot, installerDir, 'ai-kit.config.json');
+  if (fs.existsSync(kitConfigPath)) {
+    try {
+      JSON.parse(fs.readFileSync(kitConfigPath, 'utf-8'));
+      add('ai-kit.config.json', { status: 'ok', message: 'Parses' });
+    } catch (error) {
+      add('ai-kit.config.json', {
+        status: 'fail',
+        message: `Could not parse ${installerDir}/ai-kit.config.json: ${error.message}`,
+        fix: 'Fix the JSON syntax. Until then the scripts fall back to their defaults.',
+      });
+    }
+  }
+
+  // Ejected script dependencies (the runtime subcommands use the picomatch create-ai-kit ships)
+  if (fs.existsSync(path.join(projectRoot, 'scripts', 'docs-update', 'check-markers.js'))) {
+    let hasPicomatch = true;
+    try {
+      require.resolve('picomatch', { paths: [path.join(projectRoot, 'scripts', 'docs-update')] });
+    } catch {
+      hasPicomatch = false;
+    }
+    add(
+      'picomatch',
+      hasPicomatch
+        ? { status: 'ok', message: 'Available to the docs-update scripts' }
+        : {
+            status: 'warn',
+            message:
+              'Not installed, so docs:check and docs:update use simplified globs (no braces, unanchored)',
+            fix: `Run \`${detectPackageManager(projectRoot)} add -D picomatch\` if exclude patterns are not applied.`,
+          }
+    );
+  }
+
+  // Clipboard (hydration prompt copy)
+  if (!clipboardy) {
+    add('Clipboard', {
+      status: 'warn',
+      message: 'clipboardy is not available, so the hydration prompt is not copied',
+      fix: `Open ${HYDRATION_PROMPT_FILE}, or run \`npx create-ai-kit --print-prompt\`.`,
+    });
+  } else if (process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+    add('Clipboard', {
+      status: 'warn',
+      message: 'No display server, so copying the hydration prompt will fail',
+      fix: `Open ${HYDRATION_PROMPT_FILE}, or run \`npx create-ai-kit --print-prompt\`.`,
+    });
+  } else {
+    add('Clipboard', { status: 'ok', message: 'Available' });
+  }
+
+  // ESLint
+  const eslintConfig = detectEslintConfig(projectRoot);
+  const hasEslintRules = fs.existsSync(path.join(projectRoot, 'eslint-rules'));
+  if (!eslintConfig) {
+    add(
+      'ESLint',
+      hasEslintRules
+        ? {
+            status: 'warn',
+            message: 'No ESLint config found, so eslint-rules/ is unused',
+            fix: 'Create an ESLint config, then run `npx create-ai-kit eslint-setup`.',
+          }
+        : { status: 'ok', message: 'No ESLint config' }
+    );
+  } else if (
+    hasEslintRules &&
+    !fs.readFileSync(eslintConfig.path, 'utf-8').includes('eslint-rules')
+  ) {
+    add('ESLint', {
+      status: 'warn',
+      message: `${eslintConfig.file} (${eslintConfig.type}) does not load eslint-rules/`,
+      fix:
+        eslintConfig.type === 'legacy-yaml'
+          ? 'Add the plugin by hand; `npx create-ai-kit eslint-setup` prints the YAML.'
+          : 'Run `npx create-ai-kit eslint-setup`.',
+    });
+  } else {
+    add('ESLint', { status: 'ok', message: `${eslintConfig.file} (${eslintConfig.type})` });
+  }
+
+  return checks;
+}
+
+async function runDoctor(targetDir, options) {
+  const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+  const outputMode = getOutputMode(options);
+  const logger = createLogger(outputMode);
+  const checks = getDoctorChecks(projectRoot, options);
+
+  logger.log(chalk.blue('🩺 AI Kit doctor'));
+  logger.log(chalk.gray(`   Project: ${projectRoot} · CLI: ${pkg.version}\n`));
+  const colors = { ok: 'green', warn: 'yellow', fail: 'red' };
+  for (const check of checks) {
+    const line = `${DOCTOR_ICONS[check.status]} ${check.label}: ${check.message}`;
+    if (check.status === 'fail') {
+      logger.error(chalk.red(line));
+      logger.error(chalk.gray(`   Fix: ${check.fix}`));
+    } else {
+      logger.log(chalk[colors[check.status]](line));
+      if (check.fix) {
+        logger.log(chalk.gray(`   Fix: ${check.fix}`));
+      }
+    }
+  }
+
+  const failed = checks.filter((check) => check.status === 'fail').length;
+  const warned = checks.filter((check) => check.status === 'warn').length;
+  if (failed > 0) {
+    logger.error(chalk.red(`\n${failed} problem(s), ${warned} warning(s).`));
+    process.exit(1);
+  }
+  logger.log(chalk.green(`\n✅ No problems found${warned > 0 ? ` (${warned} warning(s))` : ''}.`));
+}
+
+// Programmatic API: `require('create-ai-kit')`. Options are the CLI flags in camelCase
+// (dryRun, force, cursorDir, only, exclude, target, template, ...) plus `targetDir`.
+// Nothing is printed unless `silent: false`, and failures throw AiKitError.
+const API_DEFAULTS = { silent: true, ci: true };
+
+function resolveProjectRoot(targetDir) {
+  return targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+}
+
+async function init({ targetDir, ...options } = {}) {
+  const projectRoot = resolveProjectRoot(targetDir);
+  let projectConfig;
+  try {
+    projectConfig = readProjectConfig(projectRoot);
+  } catch (error) {
+    throw new AiKitError(error.message, { code: 'ECONFIG' });
+  }
+  const merged = applyProjectConfig(
+    { ...API_DEFAULTS, only: [], exclude: [], template: [], target: [], ...options },
+    projectRoot,
+    projectConfig,
+    (key) => options[key] !== undefined
+  );
+  return runInit(projectRoot, merged);
+}
+
+async function lint({ targetDir, ...options } = {}) {
+  return runLint({ ...API_DEFAULTS, ...options }, resolveProjectRoot(targetDir));
+}
+
+async function eslintSetup({ targetDir, ...options } = {}) {
+  return runEslintSetup({ ...API_DEFAULTS, ...options }, resolveProjectRoot(targetDir));
+}
+
+// What init would detect, without writing anything
+async function detect({ targetDir, cursorDir } = {}) {
+  const projectRoot = resolveProjectRoot(targetDir);
+  const cursorDirName = resolveCursorDirName(projectRoot, { cursorDir }, { dryRun: true });
+  let detectors;
+  try {
+    detectors = getDetectors(projectRoot, cursorDirName);
+  } catch (error) {
+    throw new AiKitError(error.message, { code: 'ECONFIG' });
+  }
+  const stacks = detectProject(projectRoot, detectors);
+  const packages = listWorkspacePackages(projectRoot);
+  return {
+    projectRoot,
+    projectName: readProjectName(projectRoot),
+    cursorDir: cursorDirName,
+    packageManager: detectPackageManager(projectRoot),
+    stacks: stacks.map((p) => ({ key: p.key, label: p.label, version: p.version, major: p.major })),
+    sourceRoots:
+      packages.length > 0 ? packages.map((p) => `${p.dir}/`) : detectSourceRoots(projectRoot),
+    packages,
+    hints: getStackHints(projectRoot, stacks),
+  };
 }
 
 async function main() {
@@ -1113,17 +4818,178 @@ async function main() {
     .option('--dry-run', 'Preview changes without writing')
     .option('--yes', 'Skip confirmation prompts')
     .option('--no-gitignore', 'Skip .gitignore updates')
+    .option('--git-exclude', 'Write ignore entries to .git/info/exclude instead of .gitignore')
+    .option('--no-git-exclude', 'Write ignore entries to .gitignore (default)')
     .option('--quiet', 'Limit output (CI-friendly)')
     .option('--ci', 'Disable prompts and clipboard output')
     .option('--cursor-dir <dir>', 'Use custom Cursor directory (default: .cursor)')
     .option('--minimal', 'Install only cursor rules + minimal docs (respects --cursor-dir)')
     .option('--zero-config', 'Deprecated: use --minimal')
     .option('--print-prompt', 'Print full hydration prompt to stdout')
+    .option('--no-merge', 'Write .new files instead of merging user-modified files')
+    .option('--ignore-formatting', 'Treat indentation and blank-line changes as unmodified')
+    .option('--no-ignore-formatting', 'Count formatter changes as user edits (default)')
+    .option('--no-scripts', 'Skip package.json script updates')
+    .option('--eject', 'Copy the verify and docs-update scripts into scripts/')
+    .option('--no-eject', 'Run the scripts through create-ai-kit subcommands (default)')
+    .option(
+      '--script-prefix <prefix>',
+      'Name package.json scripts <prefix>verify, <prefix>docs:update, ...'
+    )
+    .option(
+      '--only <components>',
+      `Install only these components: ${Object.keys(COMPONENTS).join(', ')}`,
+      (value, previous) => [...previous, value],
+      []
+    )
+    .option(
+      '--exclude <components>',
+      'Leave out these components (comma-separated or repeated)',
+      (value, previous) => [...previous, value],
+      []
+    )
+    .option('--with-stack-rules', 'Install starter rules for each detected stack')
+    .option(
+      '--workspaces',
+      'Also install AGENTS.md, app-context and config in each workspace package'
+    )
+    .option(
+      '--template <path>',
+      'Layer a template directory or tarball over the built-in templates (repeatable)',
+      (value, previous) => [...previous, value],
+      []
+    )
+    .option(
+      '--target <list>',
+      `Also render rules and commands for other assistants: ${Object.keys(ASSISTANT_TARGETS)
+        .filter((key) => key !== DEFAULT_TARGET)
+        .join(', ')}`,
+      (value, previous) => [...previous, value],
+      []
+    )
+    .option('--json', 'Print a machine-readable JSON report instead of text')
+    .argument('[targetDir]', 'Target directory (defaults to current)')
+    .action(async (targetDir, cliOptions, command) => {
+      const projectRoot = targetDir ? path.resolve(process.cwd(), targetDir) : process.cwd();
+      let projectConfig;
+      try {
+        projectConfig = readProjectConfig(projectRoot);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+      // --no-gitignore and --no-scripts default to true; drop that so a saved "no" can apply
+      const given = { ...cliOptions };
+      ['gitignore', 'scripts'].forEach((key) => {
+        if (command.getOptionValueSource(key) === 'default') {
+          delete given[key];
+        }
+      });
+      const options = applyProjectConfig(
+        given,
+        projectRoot,
+        projectConfig,
+        (key) => command.getOptionValueSource(key) === 'cli'
+      );
+
+      if (!shouldRunWizard(process.argv.slice(2), projectConfig.file)) {
+        await runInit(targetDir, options);
+        return;
+      }
+      const prompter = createPrompter();
+      try {
+        await runInit(targetDir, await runWizard(targetDir, options, prompter));
+      } finally {
+        prompter.close();
+      }
+    });
+
+  program
+    .command('uninstall')
+    .description('Remove AI Kit files that are unchanged since install')
+    .argument('[targetDir]', 'Target directory (defaults to current)')
+    .option('--dry-run', 'Preview removals without deleting')
+    .option('--yes', 'Skip confirmation prompts')
+    .option('--quiet', 'Limit output (CI-friendly)')
+    .option('--ci', 'Disable prompts and clipboard output')
+    .option('--cursor-dir <dir>', 'Use custom Cursor directory (default: .cursor)')
+    .action(async (targetDir, options) => {
+      await runUninstall(targetDir, options);
+    });
+
+  program
+    .command('status')
+    .description('Show install state of AI Kit files against the manifest and templates')
+    .argument('[targetDir]', 'Target directory (defaults to current)')
+    .option('--quiet', 'Limit output (CI-friendly)')
+    .option('--ci', 'Disable prompts and clipboard output')
+    .option('--cursor-dir <dir>', 'Use custom Cursor directory (default: .cursor)')
+    .option('--minimal', 'Compare against the minimal template set')
+    .action(async (targetDir, options) => {
+      await runStatus(targetDir, options);
+    });
+
+  program
+    .command('resolve')
+    .description('Resolve pending .new files left by upgrades')
+    .argument('[targetDir]', 'Target directory (defaults to current)')
+    .option('--accept <side>', 'Resolve all without prompting: theirs or mine')
+    .option('--dry-run', 'List pending conflicts without changing files')
+    .option('--quiet', 'Limit output (CI-friendly)')
+    .option('--ci', 'Disable prompts and clipboard output')
+    .option('--cursor-dir <dir>', 'Use custom Cursor directory (default: .cursor)')
+    .action(async (targetDir, options) => {
+      await runResolve(targetDir, options);
+    });
+
+  program
+    .command('restore')
+    .description('Restore files overwritten by --force from a backup')
+    .argument('[timestamp]', 'Backup to restore (defaults to the latest)')
+    .argument('[targetDir]', 'Target directory (defaults to current)')
+    .option('--list', 'List available backups')
+    .option('--dry-run', 'Preview restored files without writing')
+    .option('--yes', 'Skip confirmation prompts')
+    .option('--quiet', 'Limit output (CI-friendly)')
+    .option('--ci', 'Disable prompts and clipboard output')
+    .action(async (timestamp, targetDir, options) => {
+      // A lone directory argument is the project: restore its latest backup
+      if (
+        !targetDir &&
+        timestamp &&
+        fs.existsSync(timestamp) &&
+        fs.statSync(timestamp).isDirectory()
+      ) {
+        await runRestore(timestamp, undefined, options);
+        return;
+      }
+      await runRestore(targetDir, timestamp, options);
+    });
+
+  program
+    .command('doctor')
+    .description('Check the environment and install for common problems')
     .argument('[targetDir]', 'Target directory (defaults to current)')
+    .option('--quiet', 'Only show problems (CI-friendly)')
+    .option('--ci', 'Disable prompts and clipboard output')
+    .option('--cursor-dir <dir>', 'Use custom Cursor directory (default: .cursor)')
     .action(async (targetDir, options) => {
-      await runInit(targetDir, options);
+      await runDoctor(targetDir, options);
     });
 
+  for (const [name, { file, description }] of Object.entries(SCRIPT_COMMANDS)) {
+    program
+      .command(name)
+      .description(description)
+      .option('--cursor-dir <dir>', 'Use custom Cursor directory (default: .cursor)')
+      .argument('[args...]', 'Options passed to the script (e.g. --ci, --json)')
+      .allowUnknownOption()
+      .helpOption(false)
+      .action(async (args, options) => {
+        process.exit(runScriptCommand(file, args, options));
+      });
+  }
+
   program
     .command('lint')
     .description('Lint hydration prompt for size and repetition')
@@ -1136,8 +5002,18 @@ async function main() {
     .option('--max-repeated-lines <number>', 'Minimum repeats to flag a line', (val) =>
       Number.parseInt(val, 10)
     )
+    .option('--max-tokens <number>', 'Maximum estimated token count (default: 5000)', (val) =>
+      Number.parseInt(val, 10)
+    )
+    .option(
+      '--section-budget <heading=tokens>',
+      'Token budget for one markdown section, e.g. "Your Tasks=1500" (repeatable)',
+      (value, previous) => [...previous, value],
+      []
+    )
     .action(async (options) => {
-      await runLint(options);
+      const result = await runLint(options);
+      process.exit(result.passed ? 0 : 1);
     });
 
   program
@@ -1149,10 +5025,15 @@ async function main() {
       await runEslintSetup(options);
     });
 
-  program.parse(process.argv);
+  await program.parseAsync(process.argv);
 }
 
-main().catch((e) => {
+function handleCliError(e) {
+  // Already printed by the command that threw it
+  if (e instanceof AiKitError) {
+    process.exit(e.exitCode);
+  }
+
   console.error(chalk.red('\n❌ Unexpected error:'), e.message || e);
 
   // Provide actionable suggestions based on error type
@@ -1171,4 +5052,17 @@ main().catch((e) => {
   }
 
   process.exit(1);
-});
+}
+
+if (require.main === module) {
+  main().catch(handleCliError);
+}
+
+module.exports = {
+  init,
+  lint,
+  eslintSetup,
+  detect,
+  AiKitError,
+  version: pkg.version,
+};
@@ -3,17 +3,41 @@ const fs = require('fs');
 
 const DEFAULT_CURSOR_DIR = '.cursor';
 const FALLBACK_CURSOR_DIR = 'cursor-copy';
+const PROJECT_CONFIG_FILE = '.ai-kitrc';
+// Project data for the docs-update scripts (file-doc-map.json, update-context.json). The scripts
+// may run from here or from the create-ai-kit package, so they find it from the project root.
+const DOCS_UPDATE_DIR = 'scripts/docs-update';
 
 function normalizeCursorDir(value) {
   const trimmed = value.trim().replace(/\\/g, '/').replace(/\/+$/, '');
   return trimmed.length > 0 ? trimmed : DEFAULT_CURSOR_DIR;
 }
 
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(process.cwd(), file), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Same lookup as the installer: .ai-kitrc, else the "ai-kit" key in package.json
+function readProjectConfig() {
+  if (fs.existsSync(path.join(process.cwd(), PROJECT_CONFIG_FILE))) {
+    return readJson(PROJECT_CONFIG_FILE) || {};
+  }
+  return readJson('package.json')?.['ai-kit'] || {};
+}
+
 function resolveCursorDir() {
   const envValue = process.env.AI_KIT_CURSOR_DIR;
   if (envValue && envValue.trim().length > 0) {
     return normalizeCursorDir(envValue);
   }
+  const { cursorDir } = readProjectConfig();
+  if (typeof cursorDir === 'string' && cursorDir.trim().length > 0) {
+    return normalizeCursorDir(cursorDir);
+  }
   const cursorConfig = path.join(process.cwd(), DEFAULT_CURSOR_DIR, 'ai-kit.config.json');
   if (fs.existsSync(cursorConfig)) {
     return DEFAULT_CURSOR_DIR;
@@ -29,9 +53,15 @@ function cursorPath(...segments) {
   return path.join(process.cwd(), resolveCursorDir(), ...segments);
 }
 
+function docsUpdatePath(...segments) {
+  return path.join(process.cwd(), DOCS_UPDATE_DIR, ...segments);
+}
+
 module.exports = {
   DEFAULT_CURSOR_DIR,
   FALLBACK_CURSOR_DIR,
+  readProjectConfig,
   resolveCursorDir,
   cursorPath,
+  docsUpdatePath,
 };
@@ -17,7 +17,7 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const { resolveCursorDir } = require('../ai-kit-paths');
+const { resolveCursorDir, docsUpdatePath } = require('../ai-kit-paths');
 let picomatch = null;
 try {
   picomatch = require('picomatch');
@@ -149,7 +149,7 @@ function loadConfig() {
 
 // Load file-doc mapping
 function loadDocMapping() {
-  const mapPath = path.join(__dirname, 'file-doc-map.json');
+  const mapPath = docsUpdatePath('file-doc-map.json');
 
   if (!fs.existsSync(mapPath)) {
     console.error(`❌ Missing file-doc-map.json at: ${mapPath}`);
@@ -531,7 +531,7 @@ async function main() {
   };
 
   // Output context
-  const outputPath = path.join(__dirname, 'update-context.json');
+  const outputPath = docsUpdatePath('update-context.json');
   fs.writeFileSync(outputPath, JSON.stringify(context, null, 2));
 
   console.log(`\n✅ Context saved to: ${outputPath}`);
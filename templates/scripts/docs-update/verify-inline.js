@@ -18,7 +18,7 @@ const { resolveCursorDir } = require('../ai-kit-paths');
 
 const CURSOR_DIR = resolveCursorDir();
 
-const ROOT_DIR = path.resolve(process.env.AI_KIT_ROOT_DIR || path.join(__dirname, '../..'));
+const ROOT_DIR = path.resolve(process.env.AI_KIT_ROOT_DIR || process.cwd());
 const DOCS_DIR = path.join(ROOT_DIR, 'docs');
 
 // Patterns to extract DOCS.md references from markdown files
@@ -7,6 +7,7 @@
  * - Required docs exist
  * - Template-only files removed
  * - Cursor config directory has non-empty sourceRoots
+ * - No pending upgrade conflicts (.new files)
  * - Placeholder check passes
  *
  * Exit codes:
@@ -23,25 +24,27 @@ const { resolveCursorDir } = require('./ai-kit-paths');
 
 const CURSOR_DIR = resolveCursorDir();
 
-const DEFAULT_REQUIRED_DOCS = [
-  'AGENTS.md',
-  'docs/domains/README.md',
-  `${CURSOR_DIR}/ai-kit.config.json`,
-  `${CURSOR_DIR}/rules/app-context.mdc`,
-  `${CURSOR_DIR}/rules/main.mdc`,
-  `${CURSOR_DIR}/commands/build.md`,
-  `${CURSOR_DIR}/commands/commit.md`,
-  `${CURSOR_DIR}/commands/debug.md`,
-  `${CURSOR_DIR}/commands/discuss.md`,
-  `${CURSOR_DIR}/commands/explain.md`,
-  `${CURSOR_DIR}/commands/fix.md`,
-  `${CURSOR_DIR}/commands/hydrate-verify.md`,
-  `${CURSOR_DIR}/commands/plan.md`,
-  `${CURSOR_DIR}/commands/refactor.md`,
-  `${CURSOR_DIR}/commands/review.md`,
-  `${CURSOR_DIR}/commands/verify.md`,
-  'scripts/docs-update/file-doc-map.json',
-];
+// Default required files per install component. When ai-kit.config.json lists `components`,
+// only those components' files (plus `core`) are required.
+const REQUIRED_DOCS_BY_COMPONENT = {
+  core: ['AGENTS.md', `${CURSOR_DIR}/ai-kit.config.json`],
+  docs: ['docs/domains/README.md'],
+  rules: [`${CURSOR_DIR}/rules/app-context.mdc`, `${CURSOR_DIR}/rules/main.mdc`],
+  commands: [
+    `${CURSOR_DIR}/commands/build.md`,
+    `${CURSOR_DIR}/commands/commit.md`,
+    `${CURSOR_DIR}/commands/debug.md`,
+    `${CURSOR_DIR}/commands/discuss.md`,
+    `${CURSOR_DIR}/commands/explain.md`,
+    `${CURSOR_DIR}/commands/fix.md`,
+    `${CURSOR_DIR}/commands/hydrate-verify.md`,
+    `${CURSOR_DIR}/commands/plan.md`,
+    `${CURSOR_DIR}/commands/refactor.md`,
+    `${CURSOR_DIR}/commands/review.md`,
+    `${CURSOR_DIR}/commands/verify.md`,
+  ],
+  'docs-update': ['scripts/docs-update/file-doc-map.json'],
+};
 
 const DEFAULT_FORBIDDEN_FILES = [
   `${CURSOR_DIR}/HYDRATE.md`,
@@ -73,7 +76,10 @@ function resolveRequiredDocs(config) {
   if (config && Array.isArray(config.requiredDocs) && config.requiredDocs.length > 0) {
     return config.requiredDocs.map(normalizePath);
   }
-  return DEFAULT_REQUIRED_DOCS;
+  const components = Array.isArray(config?.components) ? config.components : null;
+  return Object.entries(REQUIRED_DOCS_BY_COMPONENT)
+    .filter(([component]) => component === 'core' || !components || components.includes(component))
+    .flatMap(([, docs]) => docs);
 }
 
 function filterSourceRoots(sourceRoots) {
@@ -124,8 +130,41 @@ function checkManifestDrift() {
   }
 }
 
+function walkFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(fullPath) : [fullPath];
+  });
+}
+
+function findPendingConflicts() {
+  const candidates = new Set(
+    walkFiles(path.join(process.cwd(), CURSOR_DIR))
+      .filter((filePath) => filePath.endsWith('.new'))
+      .map((filePath) => normalizePath(path.relative(process.cwd(), filePath)))
+  );
+
+  const manifestPath = path.join(process.cwd(), '.ai-kit-manifest.json');
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    for (const filePath of Object.keys(manifest?.files || {})) {
+      if (fs.existsSync(path.join(process.cwd(), `${filePath}.new`))) {
+        candidates.add(normalizePath(`${filePath}.new`));
+      }
+    }
+  } catch {
+    // Missing or invalid manifest is reported by checkManifestDrift
+  }
+
+  return [...candidates].sort();
+}
+
 function runPlaceholderCheck() {
-  const result = spawnSync('node', ['scripts/placeholder-check.js'], {
+  // Next to this file, whether it was copied into the project or runs from create-ai-kit
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'placeholder-check.js')], {
     stdio: 'inherit',
   });
 
@@ -201,6 +240,13 @@ function main() {
     console.log('');
   }
 
+  const pendingConflicts = findPendingConflicts();
+  if (pendingConflicts.length > 0) {
+    printList('Pending upgrade conflicts (.new files):', pendingConflicts);
+    console.log('Run `npx create-ai-kit resolve` to reconcile them.');
+    console.log('');
+  }
+
   const placeholderStatus = runPlaceholderCheck();
   const hasPlaceholderIssues = placeholderStatus !== 0;
 
@@ -211,6 +257,7 @@ function main() {
     missingDocs.length > 0 ||
     forbiddenFiles.length > 0 ||
     missingManifestFiles.length > 0 ||
+    pendingConflicts.length > 0 ||
     !hasValidSourceRoots ||
     missingSourceRoots.length > 0 ||
     hasPlaceholderIssues;
@@ -221,6 +268,7 @@ function main() {
   console.log(`- Required files: ${missingDocs.length > 0 ? 'FAIL' : 'PASS'}`);
   console.log(`- Template files: ${forbiddenFiles.length > 0 ? 'FAIL' : 'PASS'}`);
   console.log(`- Manifest drift: ${missingManifestFiles.length > 0 ? 'FAIL' : 'PASS'}`);
+  console.log(`- Pending conflicts: ${pendingConflicts.length > 0 ? 'FAIL' : 'PASS'}`);
   console.log(`- sourceRoots: ${hasValidSourceRoots ? 'PASS' : 'FAIL'}`);
   console.log(`- sourceRoots exist: ${missingSourceRoots.length > 0 ? 'FAIL' : 'PASS'}`);
   console.log(`- Placeholders: ${hasPlaceholderIssues ? 'FAIL' : 'PASS'}`);